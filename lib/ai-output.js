@@ -0,0 +1,79 @@
+// ============================================================================
+// STRUCTURED AI OUTPUTS - schema validation and JSON extraction
+// ============================================================================
+// A small JSON-schema subset: type (integer counts as number), const, enum, oneOf,
+// min/maxLength, pattern, minimum/maximum, min/maxItems, items, required, properties.
+// Problems come back as "$.path: problem" strings so they can go straight into a repair prompt.
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate value against a schema. Returns a list of "path: problem" strings (empty = valid).
+function validateAgainstSchema(value, schema, at = '$') {
+  if (schema.oneOf) {
+    // Branches are told apart by their const properties (isConflict, newMove); report the
+    // errors of the matching branch - or the closest one - so the repair prompt is specific
+    const results = schema.oneOf.map(branch => validateAgainstSchema(value, branch, at));
+    if (results.some(errors => errors.length === 0)) return [];
+    const matching = schema.oneOf
+      .map((branch, i) => Object.entries(branch.properties || {}).every(([key, sub]) => !('const' in sub) || value?.[key] === sub.const) ? results[i] : null)
+      .filter(Boolean);
+    return (matching.length > 0 ? matching : results).sort((a, b) => a.length - b.length)[0];
+  }
+  
+  const errors = [];
+  const type = schemaTypeOf(value);
+  if ('const' in schema && value !== schema.const) return [`${at}: must be ${JSON.stringify(schema.const)}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+  if (schema.type) {
+    const matches = schema.type === type || (schema.type === 'number' && type === 'integer');
+    if (!matches) return [`${at}: must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type} (got ${type})`];
+  }
+  
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+  }
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (type === 'object') {
+    (schema.required || []).filter(key => value[key] === undefined).forEach(key => errors.push(`${at}.${key}: is required`));
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], sub, `${at}.${key}`));
+    }
+  }
+  return errors;
+}
+
+// Pull the JSON object out of a reply - tolerates code fences and chatter around it
+function parseAiJson(text) {
+  const stripped = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return { value: JSON.parse(stripped) };
+  } catch (e) {
+    const match = stripped.match(/\{[\s\S]*\}/);
+    if (!match) return { error: 'no JSON object found' };
+    try {
+      return { value: JSON.parse(match[0]) };
+    } catch (inner) {
+      return { error: inner.message };
+    }
+  }
+}
+
+module.exports = {
+  validateAgainstSchema,
+  parseAiJson
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAgainstSchema, parseAiJson } = require('./ai-output');
+
+// Shaped like the Blue Team schema: a move or an explicit "no move"
+const MOVE = {
+  oneOf: [
+    {
+      type: 'object',
+      required: ['newMove', 'action', 'escalationLevel'],
+      properties: {
+        newMove: { const: true },
+        action: { type: 'string', minLength: 1, maxLength: 20 },
+        phase: { enum: ['OPENING', 'CRISIS'] },
+        escalationLevel: { type: 'integer', minimum: 1, maximum: 5 },
+        proxies: { type: 'array', items: { type: 'string', pattern: '^[A-Z]{3}$' }, minItems: 1, maxItems: 2 }
+      }
+    },
+    {
+      type: 'object',
+      required: ['newMove'],
+      properties: { newMove: { const: false }, reason: { type: 'string' } }
+    }
+  ]
+};
+
+test('valid replies on either oneOf branch pass', () => {
+  assert.deepEqual(validateAgainstSchema({ newMove: true, action: 'Blockade', escalationLevel: 3, proxies: ['TWN'] }, MOVE), []);
+  assert.deepEqual(validateAgainstSchema({ newMove: false, reason: 'Nothing new' }, MOVE), []);
+});
+
+test('oneOf reports the branch picked by its const property', () => {
+  // Fewer errors on the "no move" branch, but newMove: true says this is a move
+  const errors = validateAgainstSchema({ newMove: true, action: 'Blockade', escalationLevel: 9, phase: 'ENDGAME' }, MOVE);
+  assert.deepEqual(errors, [
+    '$.phase: must be one of OPENING, CRISIS (got "ENDGAME")',
+    '$.escalationLevel: must be <= 5'
+  ]);
+});
+
+test('oneOf falls back to the closest branch when no const matches', () => {
+  assert.deepEqual(validateAgainstSchema({ newMove: 'yes' }, MOVE), ['$.newMove: must be false']);
+});
+
+test('types, requirements and nested paths', () => {
+  const move = (fields) => validateAgainstSchema({ newMove: true, action: 'Strike', escalationLevel: 2, ...fields }, MOVE);
+  assert.deepEqual(validateAgainstSchema({ newMove: true }, MOVE), ['$.action: is required', '$.escalationLevel: is required']);
+  assert.deepEqual(move({ escalationLevel: 2.5 }), ['$.escalationLevel: must be an integer (got number)']);
+  assert.deepEqual(move({ action: '' }), ['$.action: must not be empty']);
+  assert.deepEqual(move({ action: 'x'.repeat(21) }), ['$.action: must be at most 20 characters']);
+  assert.deepEqual(move({ proxies: ['TWN', 'us'] }), ['$.proxies[1]: must match ^[A-Z]{3}$ (got "us")']);
+  assert.deepEqual(move({ proxies: [] }), ['$.proxies: needs at least 1 item']);
+  assert.deepEqual(move({ proxies: ['USA', 'CHN', 'TWN'] }), ['$.proxies: allows at most 2 items']);
+  assert.deepEqual(move({ proxies: 'TWN' }), ['$.proxies: must be an array (got string)']);
+  assert.deepEqual(validateAgainstSchema(null, { type: 'object' }), ['$: must be an object (got null)']);
+});
+
+test('integers satisfy number, not the other way round', () => {
+  assert.deepEqual(validateAgainstSchema(3, { type: 'number' }), []);
+  assert.deepEqual(validateAgainstSchema(0.5, { type: 'integer' }), ['$: must be an integer (got number)']);
+});
+
+test('parseAiJson takes bare, fenced and chatty replies', () => {
+  assert.deepEqual(parseAiJson('{"a":1}'), { value: { a: 1 } });
+  assert.deepEqual(parseAiJson('```json\n{"a":1}\n```'), { value: { a: 1 } });
+  assert.deepEqual(parseAiJson('Here is the verdict:\n{"verified": true, "reason": "ok"}\nHope that helps.'), {
+    value: { verified: true, reason: 'ok' }
+  });
+});
+
+test('parseAiJson reports unreadable replies instead of throwing', () => {
+  assert.deepEqual(parseAiJson('No JSON here'), { error: 'no JSON object found' });
+  assert.deepEqual(parseAiJson(undefined), { error: 'no JSON object found' });
+  const { value, error } = parseAiJson('Verdict: {"verified": true,, }');
+  assert.equal(value, undefined);
+  assert.equal(typeof error, 'string');
+});
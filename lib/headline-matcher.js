@@ -0,0 +1,106 @@
+// ============================================================================
+// HEADLINE MATCHER - Headline-to-game matching
+// ============================================================================
+// Terms match on word boundaries ("iran" no longer hits "Tirana"), with an
+// optional plural. A trailing * makes a prefix term ("escalat*"). Per game:
+//   game.matching = { aliases: { kw: [alt, ...] }, exclusions: [term], weights: { kw: n }, minScore: n }
+// A headline matches when the weighted sum of non-negated terms reaches minScore.
+
+// Detects when a headline explicitly negates a topic (e.g., "isn't Russia", "not Iran")
+// Returns true if the keyword is negated in the text
+function isNegated(text, keyword) {
+  const negationPatterns = [
+    new RegExp(`\\b(isn't|isnt|is not|aren't|arent|are not|wasn't|wasnt|was not|weren't|werent|were not|not about|not due to|not from|not because of|nothing to do with|has nothing to do with|have nothing to do with|problem isn't|problem isnt|problem is not|despite|regardless of|unrelated to|irrespective of)\\s+[^.]*\\b${keyword}\\b`, 'i'),
+    new RegExp(`\\b${keyword}\\b[^.]*\\b(isn't|isnt|is not|aren't|arent|are not|wasn't|wasnt|was not|weren't|werent|were not)\\b`, 'i'),
+    new RegExp(`\\b(not|no)\\s+${keyword}\\b`, 'i'),
+    new RegExp(`\\bproblem\\s+(isn't|isnt|is not)\\s+[^—-]*\\b${keyword}\\b`, 'i')
+  ];
+  
+  return negationPatterns.some(pattern => pattern.test(text));
+}
+
+const DEFAULT_MATCH_MIN_SCORE = 1;
+const termRegexCache = new Map();
+
+function termRegex(term) {
+  const key = term.toLowerCase();
+  if (!termRegexCache.has(key)) {
+    const prefix = key.endsWith('*');
+    const body = (prefix ? key.slice(0, -1) : key)
+      .trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/[\s-]+/g, '[\\s-]+');
+    const tail = prefix ? '' : "(?:s|es|'s)?(?![a-z0-9])";
+    termRegexCache.set(key, new RegExp(`(?<![a-z0-9])${body}${tail}`, 'i'));
+  }
+  return termRegexCache.get(key);
+}
+
+function termMatches(text, term) {
+  return termRegex(term).test(text);
+}
+
+// Score one game against a piece of text. Always returns the details, matched or not.
+function matchGame(game, text) {
+  const lower = (text || '').toLowerCase();
+  const matching = game.matching || {};
+  const result = { gameId: game.id, matched: false, score: 0, terms: [], negated: [], excludedBy: null };
+  
+  result.excludedBy = (matching.exclusions || []).find(term => termMatches(lower, term)) || null;
+  if (result.excludedBy) return result;
+  
+  for (const keyword of game.keywords || []) {
+    const variants = [keyword, ...((matching.aliases || {})[keyword] || [])];
+    const hit = variants.find(term => termMatches(lower, term));
+    if (!hit) continue;
+    
+    // Keyword is plain text inside isNegated's pattern, so escape it first
+    if (isNegated(lower, hit.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))) {
+      result.negated.push(keyword);
+      continue;
+    }
+    
+    const weight = (matching.weights || {})[keyword] ?? 1;
+    result.score += weight;
+    result.terms.push(hit === keyword ? { term: keyword, weight } : { term: keyword, alias: hit, weight });
+  }
+  
+  result.score = Math.round(result.score * 100) / 100;
+  result.matched = result.score >= (matching.minScore ?? DEFAULT_MATCH_MIN_SCORE);
+  return result;
+}
+
+// Best-scoring game for a headline among the given games (null if none match)
+function bestGameMatch(games, text) {
+  let best = null;
+  for (const game of Object.values(games)) {
+    const match = matchGame(game, text);
+    if (match.matched && (!best || match.score > best.score)) best = match;
+  }
+  return best;
+}
+
+// Headlines from recent new_card broadcasts ({ type, column, data }) that match a game,
+// strongest first. Implications count towards the match but aren't returned.
+function matchCardsToGame(game, cards) {
+  return cards
+    .map(card => card.data || {})
+    .filter(card => card.headline)
+    .map(card => ({
+      headline: card.headline,
+      match: matchGame(game, `${card.headline} ${(card.implications || []).join(' ')}`)
+    }))
+    .filter(({ match }) => match.matched)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ headline }) => headline);
+}
+
+module.exports = {
+  DEFAULT_MATCH_MIN_SCORE,
+  termRegex,
+  termMatches,
+  isNegated,
+  matchGame,
+  bestGameMatch,
+  matchCardsToGame
+};
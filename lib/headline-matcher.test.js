@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchGame, bestGameMatch, matchCardsToGame } = require('./headline-matcher');
+const { games } = require('../game_catalogue.json');
+
+const catalogueGame = (id) => ({ id, ...games[id] });
+
+// A recentCards entry exactly as broadcast() stores it (see POST /api/manual-input)
+const newCard = (headline, implications = []) => ({
+  type: 'new_card',
+  column: 'breaking',
+  data: {
+    time: '09:30',
+    headline,
+    source: 'Reuters',
+    verified: false,
+    implications,
+    impact: 2,
+    horizon: 'DAYS',
+    tripwires: [],
+    probNudge: []
+  }
+});
+
+test('new_card broadcasts reach the engine matcher, strongest match first', () => {
+  const chipWar = catalogueGame('chip_war');
+  const cards = [
+    newCard('Fed holds rates steady'),
+    newCard('Nvidia shares slip'),
+    newCard('US tightens semiconductor export control rules on Huawei'),
+    newCard('Chipmakers rally', ['Semiconductor export curbs eased'])
+  ];
+  assert.deepEqual(matchCardsToGame(chipWar, cards), [
+    'US tightens semiconductor export control rules on Huawei',
+    'Chipmakers rally',
+    'Nvidia shares slip'
+  ]);
+});
+
+test('cards without a headline are skipped', () => {
+  const cards = [{ type: 'new_card', column: 'breaking' }, newCard(''), newCard('Huawei unveils new chip')];
+  assert.deepEqual(matchCardsToGame(catalogueGame('chip_war'), cards), ['Huawei unveils new chip']);
+});
+
+test('word boundaries, plurals, prefixes and negation', () => {
+  const game = { id: 'g', keywords: ['iran', 'escalat*'], matching: { minScore: 1 } };
+  assert.equal(matchGame(game, 'Tirana hosts summit').matched, false);
+  assert.equal(matchGame(game, "Iran's navy seizes tanker").matched, true);
+  assert.equal(matchGame(game, 'Markets fear escalation').matched, true);
+  const negated = matchGame(game, 'Oil spike is not about Iran');
+  assert.deepEqual([negated.matched, negated.negated], [false, ['iran']]);
+});
+
+test('bestGameMatch picks the highest score among matches', () => {
+  const board = {
+    a: { id: 'a', keywords: ['taiwan'] },
+    b: { id: 'b', keywords: ['taiwan', 'strait'] }
+  };
+  assert.equal(bestGameMatch(board, 'Taiwan Strait drills').gameId, 'b');
+  assert.equal(bestGameMatch(board, 'Quiet day in Lisbon'), null);
+});
+
+test('monroe_doctrine: trade-war headlines need a territorial term', () => {
+  const game = catalogueGame('monroe_doctrine');
+  assert.equal(matchGame(game, 'Trump slaps new tariffs on Chinese steel').matched, false);
+  assert.equal(matchGame(game, 'Trump says tariffs on EU cars coming').matched, false);
+  assert.equal(matchGame(game, 'Trump renews push to buy Greenland').matched, true);
+  assert.equal(matchGame(game, 'Trump threatens to retake Panama Canal').matched, true);
+});
+
+test('sudan_civil_war: gold only counts alongside the war', () => {
+  const game = catalogueGame('sudan_civil_war');
+  assert.equal(matchGame(game, 'Gold prices rise as Sudan war rages').matched, true);
+  assert.equal(matchGame(game, 'Gold price hits record high').matched, false);
+  assert.equal(matchGame(game, 'Gold futures slip on strong dollar').matched, false);
+});
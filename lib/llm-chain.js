@@ -0,0 +1,56 @@
+// ============================================================================
+// LLM CHAIN - walk a feature's "provider:model" refs until one answers
+// ============================================================================
+// The server owns the providers, adapters and stats; this only decides the order of
+// play. A provider that isn't ready is skipped without a call; an error, a timeout or
+// an empty reply counts as a failure and moves on to the next ref.
+//   resolveProvider(name) -> { type, ready, timeoutMs, ... }
+//   adapters[type](provider, model, text, signal) -> Promise<reply text>, aborting on signal
+
+// "local:llama3.1:8b" -> { provider: 'local', model: 'llama3.1:8b' } (models may contain colons)
+function parseModelRef(ref) {
+  const idx = typeof ref === 'string' ? ref.indexOf(':') : -1;
+  if (idx <= 0 || idx === ref.length - 1) return null;
+  return { provider: ref.slice(0, idx), model: ref.slice(idx + 1) };
+}
+
+// Returns { text, provider, model, attempts }; attempts lists the skips and failures before
+// the answer. Throws (with err.attempts) once the chain is exhausted.
+async function runLlmChain(chain, text, { feature, resolveProvider, adapters, stats = {} }) {
+  const attempts = [];
+
+  for (const { provider: name, model } of chain) {
+    const provider = resolveProvider(name);
+    if (!provider.ready) {
+      attempts.push({ provider: name, model, error: 'not configured', skipped: true });
+      continue;
+    }
+
+    const providerStats = stats[name] || (stats[name] = { calls: 0, failures: 0, lastError: null, lastErrorAt: null, lastOkAt: null });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), provider.timeoutMs);
+    const startedAt = Date.now();
+    providerStats.calls++;
+    try {
+      const reply = await adapters[provider.type](provider, model, text, controller.signal);
+      if (typeof reply !== 'string' || !reply.trim()) throw new Error('empty response');
+      providerStats.lastOkAt = new Date().toISOString();
+      return { text: reply, provider: name, model, attempts };
+    } catch (e) {
+      const error = controller.signal.aborted ? `timed out after ${provider.timeoutMs}ms` : (e.response?.data?.error?.message || e.message);
+      Object.assign(providerStats, { failures: providerStats.failures + 1, lastError: error, lastErrorAt: new Date().toISOString() });
+      attempts.push({ provider: name, model, error, ms: Date.now() - startedAt });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const err = new Error(`No LLM provider answered ${feature} (${attempts.map(a => `${a.provider}:${a.model} ${a.error}`).join('; ')})`);
+  err.attempts = attempts;
+  throw err;
+}
+
+module.exports = {
+  parseModelRef,
+  runLlmChain
+};
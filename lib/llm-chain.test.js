@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseModelRef, runLlmChain } = require('./llm-chain');
+
+const chain = (...refs) => refs.map(parseModelRef);
+
+// Stub providers: every one is ready with a short timeout unless overridden
+function setup(adapters, overrides = {}) {
+  const stats = {};
+  const calls = [];
+  const resolveProvider = (name) => ({ name, type: name, ready: true, timeoutMs: 50, ...overrides[name] });
+  const wrapped = Object.fromEntries(Object.entries(adapters).map(([type, fn]) => [type, (provider, model, text, signal) => {
+    calls.push(`${provider.name}:${model}`);
+    return fn(provider, model, text, signal);
+  }]));
+  return { stats, calls, opts: { feature: 'demo', resolveProvider, adapters: wrapped, stats } };
+}
+
+// Never answers; rejects only when the chain aborts it
+const hang = (provider, model, text, signal) => new Promise((_, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+test('parseModelRef keeps colons in the model name', () => {
+  assert.deepEqual(parseModelRef('local:llama3.1:8b'), { provider: 'local', model: 'llama3.1:8b' });
+  assert.equal(parseModelRef('gemini'), null);
+  assert.equal(parseModelRef(':model'), null);
+  assert.equal(parseModelRef('gemini:'), null);
+  assert.equal(parseModelRef(undefined), null);
+});
+
+test('the first provider that answers wins', async () => {
+  const { calls, stats, opts } = setup({ a: async (p, model, text) => `${model} saw ${text}`, b: async () => 'unused' });
+  const result = await runLlmChain(chain('a:m1', 'b:m2'), 'hello', opts);
+  assert.deepEqual(result, { text: 'm1 saw hello', provider: 'a', model: 'm1', attempts: [] });
+  assert.deepEqual(calls, ['a:m1']);
+  assert.equal(stats.a.calls, 1);
+  assert.equal(stats.a.failures, 0);
+});
+
+test('unready providers are skipped without a call', async () => {
+  const { calls, stats, opts } = setup({ a: async () => 'never', b: async () => 'ok' }, { a: { ready: false } });
+  const result = await runLlmChain(chain('a:m1', 'b:m2'), 'x', opts);
+  assert.equal(result.provider, 'b');
+  assert.deepEqual(result.attempts, [{ provider: 'a', model: 'm1', error: 'not configured', skipped: true }]);
+  assert.deepEqual(calls, ['b:m2']);
+  assert.equal(stats.a, undefined);
+});
+
+test('errors, timeouts and empty replies fall through to the next ref', async () => {
+  const { calls, stats, opts } = setup({
+    boom: async () => { throw new Error('503 overloaded'); },
+    slow: hang,
+    blank: async () => '   ',
+    ok: async () => 'answer'
+  });
+  const result = await runLlmChain(chain('boom:m', 'slow:m', 'blank:m', 'ok:m'), 'x', opts);
+  assert.equal(result.text, 'answer');
+  assert.deepEqual(result.attempts.map(a => [a.provider, a.error]), [
+    ['boom', '503 overloaded'],
+    ['slow', 'timed out after 50ms'],
+    ['blank', 'empty response']
+  ]);
+  assert.deepEqual(calls, ['boom:m', 'slow:m', 'blank:m', 'ok:m']);
+  assert.equal(stats.slow.failures, 1);
+  assert.equal(stats.slow.lastError, 'timed out after 50ms');
+});
+
+test('an HTTP error body is preferred over the transport message', async () => {
+  const httpError = Object.assign(new Error('Request failed with status code 400'), {
+    response: { data: { error: { message: 'model not found' } } }
+  });
+  const { opts } = setup({ a: async () => { throw httpError; }, b: async () => 'ok' });
+  const result = await runLlmChain(chain('a:m', 'b:m'), 'x', opts);
+  assert.equal(result.attempts[0].error, 'model not found');
+});
+
+test('an exhausted chain throws with every attempt', async () => {
+  const { opts } = setup({ a: async () => '', b: async () => 'unused' }, { b: { ready: false } });
+  await assert.rejects(runLlmChain(chain('a:m1', 'b:m2'), 'x', opts), (err) => {
+    assert.equal(err.message, 'No LLM provider answered demo (a:m1 empty response; b:m2 not configured)');
+    assert.deepEqual(err.attempts.map(a => a.provider), ['a', 'b']);
+    return true;
+  });
+});
@@ -0,0 +1,192 @@
+// ============================================================================
+// NASH SOLVER - Structured payoff matrices
+// ============================================================================
+// matrix = { players: [row, column], strategies: [[...row], [...column]],
+//            payoffs: [[[rowPayoff, columnPayoff], ...], ...] }  (payoffs[i][j])
+// Two-player for now; players/strategies are arrays so n-player can slot in later.
+
+const NASH_EPSILON = 1e-9;
+const MAX_MATRIX_STRATEGIES = 6;
+
+function isValidPayoffMatrix(m) {
+  if (!m || typeof m !== 'object') return false;
+  if (!Array.isArray(m.players) || m.players.length !== 2 || !m.players.every(p => typeof p === 'string' && p.trim())) return false;
+  if (!Array.isArray(m.strategies) || m.strategies.length !== 2) return false;
+  
+  const sizesOk = m.strategies.every(list => Array.isArray(list) && list.length >= 2 && list.length <= MAX_MATRIX_STRATEGIES &&
+    list.every(s => typeof s === 'string' && s.trim()) && new Set(list).size === list.length);
+  if (!sizesOk) return false;
+  
+  const [rows, cols] = m.strategies.map(list => list.length);
+  return Array.isArray(m.payoffs) && m.payoffs.length === rows && m.payoffs.every(row =>
+    Array.isArray(row) && row.length === cols && row.every(cell =>
+      Array.isArray(cell) && cell.length === 2 && cell.every(Number.isFinite)));
+}
+
+// Solve A·x = b by Gaussian elimination with partial pivoting; null if singular
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < NASH_EPSILON) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+function combinations(n, k) {
+  const out = [];
+  const pick = (start, combo) => {
+    if (combo.length === k) return out.push([...combo]);
+    for (let i = start; i < n; i++) pick(i + 1, [...combo, i]);
+  };
+  pick(0, []);
+  return out;
+}
+
+// Mix for one player over `support` that leaves the opponent indifferent across `oppSupport`.
+// payoff(own, opp) is the opponent's payoff. Returns { probs, value } or null.
+function indifferenceMix(size, support, oppSupport, payoff) {
+  const k = support.length;
+  // Unknowns: k probabilities + the opponent's equalized value
+  const A = [];
+  const b = [];
+  for (const opp of oppSupport) {
+    A.push([...support.map(own => payoff(own, opp)), -1]);
+    b.push(0);
+  }
+  A.push([...support.map(() => 1), 0]);
+  b.push(1);
+  
+  const solution = solveLinearSystem(A, b);
+  if (!solution) return null;
+  
+  const probs = new Array(size).fill(0);
+  for (let i = 0; i < k; i++) {
+    if (solution[i] < -NASH_EPSILON) return null;
+    probs[support[i]] = Math.max(0, solution[i]);
+  }
+  return { probs, value: solution[k] };
+}
+
+// Equal-size support enumeration. Exact for non-degenerate games; degenerate games
+// (ties in payoffs) can have continua of equilibria, of which we report the vertices found.
+function findNashEquilibria(matrix) {
+  const { payoffs } = matrix;
+  const rows = payoffs.length;
+  const cols = payoffs[0].length;
+  const rowPay = (i, j) => payoffs[i][j][0];
+  const colPay = (i, j) => payoffs[i][j][1];
+  
+  const found = new Map();
+  for (let k = 1; k <= Math.min(rows, cols); k++) {
+    for (const I of combinations(rows, k)) {
+      for (const J of combinations(cols, k)) {
+        // Row mix makes the column player indifferent over J, and vice versa
+        const row = indifferenceMix(rows, I, J, (i, j) => colPay(i, j));
+        const col = indifferenceMix(cols, J, I, (j, i) => rowPay(i, j));
+        if (!row || !col) continue;
+        
+        const rowValues = [...Array(rows).keys()].map(i => col.probs.reduce((s, q, j) => s + q * rowPay(i, j), 0));
+        const colValues = [...Array(cols).keys()].map(j => row.probs.reduce((s, p, i) => s + p * colPay(i, j), 0));
+        const rowBest = Math.max(...rowValues);
+        const colBest = Math.max(...colValues);
+        // No profitable deviation outside the support
+        if (I.some(i => rowValues[i] < rowBest - 1e-7) || J.some(j => colValues[j] < colBest - 1e-7)) continue;
+        
+        const key = [...row.probs, ...col.probs].map(p => p.toFixed(6)).join('|');
+        if (!found.has(key)) {
+          found.set(key, { row: row.probs, col: col.probs, values: [rowBest, colBest] });
+        }
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+function findDominance(matrix, player) {
+  const { payoffs, strategies } = matrix;
+  const own = strategies[player];
+  const opp = strategies[1 - player];
+  const pay = (s, o) => player === 0 ? payoffs[s][o][0] : payoffs[o][s][1];
+  
+  // a dominates b: never worse, and strictly better everywhere (strict) or somewhere (weak)
+  const compare = (a, b) => {
+    const diffs = opp.map((_, o) => pay(a, o) - pay(b, o));
+    if (diffs.some(d => d < 0)) return null;
+    if (diffs.every(d => d > 0)) return 'strict';
+    return diffs.some(d => d > 0) ? 'weak' : null;
+  };
+  
+  let dominant = null;
+  const dominated = [];
+  own.forEach((_, s) => {
+    const others = own.map((__, t) => t).filter(t => t !== s);
+    const kinds = others.map(t => compare(s, t));
+    if (!dominant && kinds.every(Boolean)) {
+      dominant = { strategy: own[s], kind: kinds.every(k => k === 'strict') ? 'strict' : 'weak' };
+    }
+    if (others.some(t => compare(t, s) === 'strict')) dominated.push(own[s]);
+  });
+  return { dominant, strictlyDominated: dominated };
+}
+
+function findBestResponses(matrix, player) {
+  const { payoffs, strategies } = matrix;
+  const pay = (s, o) => player === 0 ? payoffs[s][o][0] : payoffs[o][s][1];
+  
+  return Object.fromEntries(strategies[1 - player].map((oppName, o) => {
+    const values = strategies[player].map((_, s) => pay(s, o));
+    const best = Math.max(...values);
+    return [oppName, strategies[player].filter((_, s) => values[s] === best)];
+  }));
+}
+
+// Deterministic analysis attached to games as `nash`
+function solvePayoffMatrix(matrix) {
+  if (!isValidPayoffMatrix(matrix)) return null;
+  
+  const { players, strategies } = matrix;
+  const round = (x) => Math.round(x * 10000) / 10000;
+  // Support enumeration leaves float noise (0.9999999...) - snap near-0/1 before classifying
+  const snap = (p) => Math.abs(p) < NASH_EPSILON ? 0 : Math.abs(p - 1) < NASH_EPSILON ? 1 : p;
+  const equilibria = findNashEquilibria(matrix).map(e => ({ ...e, row: e.row.map(snap), col: e.col.map(snap) }));
+  const isPure = (e) => [...e.row, ...e.col].every(p => p === 0 || p === 1);
+  
+  return {
+    solvedAt: new Date().toISOString(),
+    pureEquilibria: equilibria.filter(isPure).map(e => ({
+      strategies: [strategies[0][e.row.indexOf(1)], strategies[1][e.col.indexOf(1)]],
+      payoffs: e.values.map(round)
+    })),
+    mixedEquilibria: equilibria.filter(e => !isPure(e)).map(e => ({
+      probabilities: [
+        Object.fromEntries(strategies[0].map((s, i) => [s, round(e.row[i])])),
+        Object.fromEntries(strategies[1].map((s, j) => [s, round(e.col[j])]))
+      ],
+      expectedPayoffs: e.values.map(round)
+    })),
+    dominance: Object.fromEntries(players.map((p, i) => [p, findDominance(matrix, i)])),
+    // bestResponses[player][opponentStrategy] = player's best replies
+    bestResponses: Object.fromEntries(players.map((p, i) => [p, findBestResponses(matrix, i)]))
+  };
+}
+
+module.exports = {
+  NASH_EPSILON,
+  MAX_MATRIX_STRATEGIES,
+  isValidPayoffMatrix,
+  findNashEquilibria,
+  solvePayoffMatrix
+};
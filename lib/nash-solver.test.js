@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidPayoffMatrix, solvePayoffMatrix } = require('./nash-solver');
+
+const matrix = (payoffs, rowNames = ['A', 'B', 'C'], colNames = ['X', 'Y', 'Z']) => ({
+  players: ['Row', 'Column'],
+  strategies: [rowNames.slice(0, payoffs.length), colNames.slice(0, payoffs[0].length)],
+  payoffs
+});
+
+// Pure equilibria by brute force: neither player gains by deviating from the cell
+function purePoints(m) {
+  const out = [];
+  m.payoffs.forEach((row, i) => row.forEach(([r, c], j) => {
+    const rowBest = Math.max(...m.payoffs.map(other => other[j][0]));
+    const colBest = Math.max(...row.map(cell => cell[1]));
+    if (r >= rowBest && c >= colBest) out.push(`${m.strategies[0][i]}|${m.strategies[1][j]}`);
+  }));
+  return out.sort();
+}
+
+test('classifies pure equilibria of decimal payoff matrices as pure', () => {
+  // Float noise from the linear solves used to push these into mixedEquilibria
+  const cases = [
+    [[[4.553, 7.644], [-2.034, -5.305]], [[-1.902, 7.74], [1.176, -2.971]]],
+    [[[4.698, -3.3], [4.504, -1.545], [-6.027, -3.766]], [[9.71, 9.883], [2.648, 7.444], [8.366, -6.009]], [[2.904, -7.292], [-0.051, 1.147], [5.428, 8.915]]],
+    [[[-3.24, 3.657], [7.548, -7.682], [-3.847, 8.419]], [[-9.974, -7.364], [-2.054, -9.568], [3.857, 7.957]], [[-6.54, -5.759], [8.947, 3.997], [-6.497, -7.663]]],
+    [[[0.3, 0.7], [1.1, -0.2]], [[-0.4, 2.2], [0.9, 0.1]]],
+    [[[1.7, 1.7], [-2.3, 3.1]], [[3.1, -2.3], [0.4, 0.4]]]
+  ];
+  for (const payoffs of cases) {
+    const m = matrix(payoffs);
+    const nash = solvePayoffMatrix(m);
+    const pure = nash.pureEquilibria.map(e => e.strategies.join('|')).sort();
+    assert.deepEqual(pure, purePoints(m), JSON.stringify(payoffs));
+    for (const e of nash.mixedEquilibria) {
+      const probs = [...Object.values(e.probabilities[0]), ...Object.values(e.probabilities[1])];
+      assert.ok(probs.some(p => p > 0 && p < 1), `pure profile listed as mixed: ${JSON.stringify(e)}`);
+    }
+  }
+});
+
+test("prisoner's dilemma: single pure equilibrium and strictly dominant defection", () => {
+  const m = matrix([[[-1, -1], [-3, 0]], [[0, -3], [-2, -2]]], ['Cooperate', 'Defect'], ['Cooperate', 'Defect']);
+  const nash = solvePayoffMatrix(m);
+  assert.deepEqual(nash.pureEquilibria, [{ strategies: ['Defect', 'Defect'], payoffs: [-2, -2] }]);
+  assert.equal(nash.mixedEquilibria.length, 0);
+  assert.deepEqual(nash.dominance.Row.dominant, { strategy: 'Defect', kind: 'strict' });
+  assert.deepEqual(nash.dominance.Column.strictlyDominated, ['Cooperate']);
+});
+
+test('matching pennies: only a 50/50 mixed equilibrium', () => {
+  const nash = solvePayoffMatrix(matrix([[[1, -1], [-1, 1]], [[-1, 1], [1, -1]]]));
+  assert.equal(nash.pureEquilibria.length, 0);
+  assert.deepEqual(nash.mixedEquilibria, [{
+    probabilities: [{ A: 0.5, B: 0.5 }, { X: 0.5, Y: 0.5 }],
+    expectedPayoffs: [0, 0]
+  }]);
+});
+
+test('battle of the sexes: two pure equilibria plus one mixed', () => {
+  const nash = solvePayoffMatrix(matrix([[[2, 1], [0, 0]], [[0, 0], [1, 2]]]));
+  assert.deepEqual(nash.pureEquilibria.map(e => e.strategies), [['A', 'X'], ['B', 'Y']]);
+  assert.equal(nash.mixedEquilibria.length, 1);
+  assert.deepEqual(nash.mixedEquilibria[0].probabilities, [{ A: 0.6667, B: 0.3333 }, { X: 0.3333, Y: 0.6667 }]);
+});
+
+test('rejects malformed matrices', () => {
+  const good = matrix([[[1, 1], [0, 0]], [[0, 0], [1, 1]]]);
+  assert.ok(isValidPayoffMatrix(good));
+  assert.equal(solvePayoffMatrix({ ...good, payoffs: [[[1, 1]]] }), null);
+  assert.ok(!isValidPayoffMatrix({ ...good, strategies: [['A', 'A'], ['X', 'Y']] }));
+  assert.ok(!isValidPayoffMatrix({ ...good, players: ['Only one'] }));
+  assert.ok(!isValidPayoffMatrix({ ...good, payoffs: [[[1, 'x'], [0, 0]], [[0, 0], [1, 1]]] }));
+});
@@ -0,0 +1,171 @@
+// ============================================================================
+// ORPHAN CLUSTERING - TF-IDF headline clusters
+// ============================================================================
+// Orphans are { headline, snippet, source, timestamp }. Each becomes a TF-IDF vector
+// (headline words weigh 1, snippet words cfg.snippetWeight); a single oldest-first pass
+// joins each to the closest running centroid above cfg.similarityThreshold. Geography is
+// optional: geoOf(orphan) -> { countries, location } and distanceKm(a, b) for locations.
+// Fingerprints (a cluster's most frequent stems) tell whether two clusters are one story.
+
+const NO_GEO = { countries: [], location: null };
+
+const CLUSTER_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'over', 'after', 'amid', 'about', 'against',
+  'are', 'was', 'were', 'has', 'have', 'had', 'its', 'their', 'his', 'her', 'our', 'they', 'them', 'who',
+  'what', 'when', 'where', 'why', 'how', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'not',
+  'but', 'out', 'off', 'than', 'then', 'more', 'most', 'new', 'says', 'said', 'say', 'report', 'reports',
+  'reported', 'news', 'live', 'update', 'updates', 'latest', 'today', 'week', 'year', 'via', 'also', 'just',
+  'under', 'between', 'before', 'while', 'been', 'being', 'some', 'any', 'all', 'other', 'such'
+]);
+
+// Light suffix stemmer - enough to fold sanction/sanctions/sanctioned and escalate/escalation
+function stemToken(word) {
+  const rules = [
+    ['ies', 'y'], ['ied', 'y'], ['ations', 'at'], ['ation', 'at'], ['ments', ''], ['ment', ''],
+    ['ings', ''], ['ing', ''], ['ed', ''], ['es', ''], ['ly', '']
+  ];
+  let stem = word;
+  const rule = rules.find(([suffix]) => word.endsWith(suffix) && word.length - suffix.length >= 3);
+  if (rule) {
+    stem = word.slice(0, -rule[0].length) + rule[1];
+  } else if (word.endsWith('s') && !/(ss|is|us)$/.test(word)) {
+    stem = word.slice(0, -1);
+  }
+  return stem.length > 4 && stem.endsWith('e') ? stem.slice(0, -1) : stem;
+}
+
+// text -> [{ stem, word }] with stopwords, numbers and short words dropped
+function tokenizeForClustering(text) {
+  return (text || '').toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !/^\d+$/.test(w) && !CLUSTER_STOPWORDS.has(w))
+    .map(word => ({ stem: stemToken(word), word }));
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) {
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  return dot;
+}
+
+// Unit-length vector (Map term -> weight)
+function normalizeVector(vector) {
+  const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+  if (norm > 0) vector.forEach((w, term) => vector.set(term, w / norm));
+  return vector;
+}
+
+// Cluster orphan headlines. Returns [{ members, keywords, cohesion, geo }] for clusters
+// that meet cfg.minHeadlines and cfg.minSources.
+function clusterHeadlines(orphans, cfg, { geoOf = () => NO_GEO, distanceKm } = {}) {
+  if (orphans.length === 0) return [];
+  
+  // Term frequencies per orphan, plus the most common surface word for each stem
+  const surfaceCounts = {};
+  const docs = orphans.map(orphan => {
+    const tf = new Map();
+    const add = (tokens, weight) => tokens.forEach(({ stem, word }) => {
+      tf.set(stem, (tf.get(stem) || 0) + weight);
+      const counts = surfaceCounts[stem] || (surfaceCounts[stem] = {});
+      counts[word] = (counts[word] || 0) + 1;
+    });
+    add(tokenizeForClustering(orphan.headline), 1);
+    add(tokenizeForClustering(orphan.snippet), cfg.snippetWeight);
+    return { orphan, tf, geo: geoOf(orphan) };
+  });
+  
+  const df = {};
+  docs.forEach(({ tf }) => tf.forEach((_, term) => { df[term] = (df[term] || 0) + 1; }));
+  const idf = (term) => Math.log((docs.length + 1) / (df[term] + 1)) + 1;
+  docs.forEach(doc => {
+    doc.vector = new Map();
+    doc.tf.forEach((count, term) => doc.vector.set(term, count * idf(term)));
+    normalizeVector(doc.vector);
+  });
+  
+  // Shared geography nudges the text score: same country or a nearby place boosts it,
+  // far-apart places damp it, no places on either side leaves it alone
+  const geoFactor = (doc, group) => {
+    if (!doc.geo.location || group.points.length === 0) return 1;
+    if (doc.geo.countries.some(c => group.countries.has(c))) return 1 + cfg.geoWeight;
+    const nearest = Math.min(...group.points.map(p => distanceKm(doc.geo.location, p)));
+    return 1 + cfg.geoWeight * (nearest <= cfg.geoRadiusKm ? 1 - nearest / cfg.geoRadiusKm : -1);
+  };
+  const addGeo = (group, doc) => {
+    doc.geo.countries.forEach(c => group.countries.add(c));
+    if (doc.geo.location) group.points.push(doc.geo.location);
+  };
+  
+  // Single pass, oldest first: join the closest centroid above threshold or start a cluster
+  const groups = [];
+  for (const doc of [...docs].sort((a, b) => a.orphan.timestamp - b.orphan.timestamp)) {
+    let best = null;
+    let bestScore = 0;
+    for (const group of groups) {
+      const score = cosineSimilarity(doc.vector, group.centroid) * geoFactor(doc, group);
+      if (score > bestScore) { best = group; bestScore = score; }
+    }
+    
+    if (best && bestScore >= cfg.similarityThreshold) {
+      best.docs.push(doc);
+      doc.vector.forEach((w, term) => best.sum.set(term, (best.sum.get(term) || 0) + w));
+      best.centroid = normalizeVector(new Map(best.sum));
+      addGeo(best, doc);
+    } else {
+      const group = { docs: [doc], sum: new Map(doc.vector), centroid: new Map(doc.vector), countries: new Set(), points: [] };
+      addGeo(group, doc);
+      groups.push(group);
+    }
+  }
+  
+  return groups
+    .filter(g => g.docs.length >= cfg.minHeadlines && new Set(g.docs.map(d => d.orphan.source)).size >= cfg.minSources)
+    .map(g => {
+      const keywords = [...g.centroid.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, cfg.centroidKeywords)
+        .map(([stem]) => Object.entries(surfaceCounts[stem]).sort((a, b) => b[1] - a[1])[0][0]);
+      const cohesion = g.docs.reduce((sum, d) => sum + cosineSimilarity(d.vector, g.centroid), 0) / g.docs.length;
+      // Most-mentioned place stands for the cluster on the globe
+      const byPlace = {};
+      g.docs.forEach(d => { if (d.geo.location) (byPlace[d.geo.location.city] ||= { location: d.geo.location, n: 0 }).n++; });
+      const top = Object.values(byPlace).sort((a, b) => b.n - a.n)[0];
+      return {
+        members: g.docs.map(d => d.orphan),
+        keywords,
+        cohesion: Math.round(cohesion * 1000) / 1000,
+        geo: { countries: [...g.countries], location: top ? top.location : null }
+      };
+    });
+}
+
+// Most frequent stems across a proposal's headlines - identifies a cluster whatever the wording order
+function headlineFingerprint(headlines, size) {
+  const counts = {};
+  headlines.forEach(h => new Set(tokenizeForClustering(h).map(t => t.stem)).forEach(stem => {
+    counts[stem] = (counts[stem] || 0) + 1;
+  }));
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, size)
+    .map(([stem]) => stem);
+}
+
+// Share of the shorter fingerprint found in the other (0-1)
+function fingerprintOverlap(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter(stem => b.includes(stem)).length;
+  return shared / Math.min(a.length, b.length);
+}
+
+module.exports = {
+  stemToken,
+  tokenizeForClustering,
+  cosineSimilarity,
+  normalizeVector,
+  clusterHeadlines,
+  headlineFingerprint,
+  fingerprintOverlap
+};
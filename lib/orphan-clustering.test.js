@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  stemToken, tokenizeForClustering, cosineSimilarity, normalizeVector, clusterHeadlines, headlineFingerprint, fingerprintOverlap
+} = require('./orphan-clustering');
+
+const CONFIG = {
+  similarityThreshold: 0.25,
+  snippetWeight: 0.5,
+  minHeadlines: 3,
+  minSources: 2,
+  centroidKeywords: 6,
+  geoWeight: 0.3,
+  geoRadiusKm: 1500
+};
+
+let clock = 0;
+const orphan = (headline, source, extra = {}) => ({ headline, source, snippet: '', timestamp: ++clock, ...extra });
+
+test('stemmer folds inflections onto one stem', () => {
+  assert.equal(stemToken('sanctions'), stemToken('sanctioned'));
+  assert.equal(stemToken('escalation'), stemToken('escalations'));
+  assert.equal(stemToken('militaries'), 'military');
+  assert.equal(stemToken('crisis'), 'crisis');
+});
+
+test('tokenizer drops stopwords, numbers and short words', () => {
+  const tokens = tokenizeForClustering('The 2026 US sanctions on Iran are new');
+  assert.deepEqual(tokens.map(t => t.word), ['sanctions', 'iran']);
+  assert.deepEqual(tokenizeForClustering(undefined), []);
+});
+
+test('normalized vectors: self-similarity 1, disjoint terms 0', () => {
+  const a = normalizeVector(new Map([['oil', 3], ['strait', 4]]));
+  const b = normalizeVector(new Map([['chip', 1]]));
+  assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-12);
+  assert.equal(cosineSimilarity(a, b), 0);
+  assert.equal(normalizeVector(new Map()).size, 0);
+});
+
+test('groups headlines on the same story and keeps unrelated ones apart', () => {
+  const orphans = [
+    orphan('Naval blockade of Taiwan Strait tightens', 'Reuters'),
+    orphan('Taiwan Strait blockade enters second day', 'AP'),
+    orphan('Shipping halted as Taiwan Strait blockade widens', 'Bloomberg'),
+    orphan('Farmers protest fuel tariff in Paris', 'AFP'),
+    orphan('Coup attempt reported in West African capital', 'BBC')
+  ];
+  const clusters = clusterHeadlines(orphans, CONFIG);
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].members.map(m => m.source), ['Reuters', 'AP', 'Bloomberg']);
+  assert.ok(clusters[0].keywords.includes('blockade'));
+  assert.ok(clusters[0].keywords.includes('taiwan'));
+  assert.ok(clusters[0].cohesion > CONFIG.similarityThreshold && clusters[0].cohesion <= 1);
+});
+
+test('keywords use the most common surface form of each stem', () => {
+  const clusters = clusterHeadlines([
+    orphan('EU sanctions Russian banks', 'Reuters'),
+    orphan('EU sanctions Russian banks again', 'AP'),
+    orphan('Russian banks sanctioned by EU', 'FT')
+  ], CONFIG);
+  assert.equal(clusters.length, 1);
+  assert.ok(clusters[0].keywords.includes('sanctions'));
+  assert.ok(!clusters[0].keywords.includes('sanctioned'));
+});
+
+test('clusters below the headline or source minimums are not reported', () => {
+  const sameStory = ['Missile strike hits port city', 'Port city missile strike kills dozens', 'Second missile strike on port city'];
+  assert.equal(clusterHeadlines(sameStory.slice(0, 2).map(h => orphan(h, `S${h.length}`)), CONFIG).length, 0);
+  assert.equal(clusterHeadlines(sameStory.map(h => orphan(h, 'Reuters')), CONFIG).length, 0);
+  assert.equal(clusterHeadlines(sameStory.map((h, i) => orphan(h, `S${i}`)), CONFIG).length, 1);
+  assert.deepEqual(clusterHeadlines([], CONFIG), []);
+});
+
+test('distant geography damps a borderline text match', () => {
+  const near = { countries: ['TWN'], location: { lat: 25, lon: 121 } };
+  const far = { countries: ['ARG'], location: { lat: -34, lon: -58 } };
+  const flatKm = (a, b) => Math.hypot(a.lat - b.lat, a.lon - b.lon) * 111;
+  const headlines = ['Troops mass near border crossing', 'Border crossing closed as troops gather', 'Troops gather at border'];
+  const build = (geos) => headlines.map((h, i) => orphan(h, `S${i}`, { geo: geos[i] }));
+  const cfg = { ...CONFIG, similarityThreshold: 0.35 };
+  const geo = { geoOf: o => o.geo, distanceKm: flatKm };
+
+  assert.equal(clusterHeadlines(build([]), cfg).length, 1);
+  assert.equal(clusterHeadlines(build([near, far, far]), cfg, geo).length, 0);
+  const [cluster] = clusterHeadlines(build([near, near, near]), cfg, geo);
+  assert.deepEqual(cluster.geo, { countries: ['TWN'], location: near.location });
+});
+
+test('fingerprint: most frequent stems, counted once per headline', () => {
+  const stems = headlineFingerprint([
+    'Sanctions on Iran oil exports',
+    'Iran sanctioned again, sanctions widen',
+    'Oil tanker seized off Iran'
+  ], 3);
+  assert.deepEqual(stems.slice(0, 2).sort(), [stemToken('iran'), stemToken('sanctions')].sort());
+  assert.equal(stems.length, 3);
+  assert.deepEqual(headlineFingerprint([], 10), []);
+});
+
+test('fingerprint overlap is measured against the shorter fingerprint', () => {
+  assert.equal(fingerprintOverlap(['iran', 'sanction', 'oil'], ['oil', 'iran', 'sanction', 'tanker', 'gulf']), 1);
+  assert.equal(fingerprintOverlap(['iran', 'sanction', 'oil', 'gulf'], ['iran', 'sanction', 'chip', 'taiwan']), 0.5);
+  assert.equal(fingerprintOverlap(['iran'], []), 0);
+  assert.equal(fingerprintOverlap([], []), 0);
+});
+
+test('reworded coverage of one story overlaps, a different story does not', () => {
+  const dismissed = headlineFingerprint([
+    'Naval blockade of Taiwan Strait tightens',
+    'Taiwan Strait blockade enters second day',
+    'Shipping halted by Taiwan blockade'
+  ], 10);
+  const reworded = headlineFingerprint([
+    'Blockaded Taiwan Strait: shipping halted for third day',
+    'Taiwan blockade tightening, navy says'
+  ], 10);
+  const other = headlineFingerprint(['Farmers protest fuel tariff in Paris', 'Paris fuel tariff protest spreads'], 10);
+  assert.ok(fingerprintOverlap(dismissed, reworded) >= 0.6);
+  assert.ok(fingerprintOverlap(dismissed, other) < 0.6);
+});
@@ -0,0 +1,50 @@
+// ============================================================================
+// PROMPT TEMPLATES - rendering and route variables
+// ============================================================================
+// A spec is one prompts.json entry plus its loaded templates:
+//   { id, active, variables: [...], versions: { '1': 'text with {{name}}', ... } }
+// Every declared variable must be supplied; undefined is a caller bug, '' is a value.
+
+const PROMPT_PLACEHOLDER = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Fill a template. Returns { text, ref } - ref ({ id, version }) is stored with the AI output.
+function fillPrompt(spec, vars = {}, version) {
+  const v = version ?? spec.active;
+  const template = spec.versions[v];
+  if (template === undefined) throw new Error(`Prompt ${spec.id} has no version v${v}`);
+
+  const missing = spec.variables.filter(name => vars[name] === undefined);
+  if (missing.length > 0) throw new Error(`Prompt ${spec.id}@v${v} is missing variables: ${missing.join(', ')}`);
+
+  return {
+    text: template.replace(PROMPT_PLACEHOLDER, (_, name) => String(vars[name] ?? '')),
+    ref: { id: spec.id, version: Number(v) }
+  };
+}
+
+// game_analysis variables from a POST /api/analyze-game body. The terminal sends the board's
+// copy of the game (no emoji); gaps are filled from the stored game, then with placeholders.
+function gameAnalysisVariables(body, game = {}, marketContext = '') {
+  const pick = (key) => body[key] ?? game[key];
+  const players = pick('players');
+  const lastMove = pick('lastMove');
+
+  return {
+    marketContext,
+    emoji: pick('emoji') || '',
+    title: pick('title'),
+    players: Array.isArray(players) && players.length > 0 ? players.join(' vs ') : 'Unknown',
+    currentPhase: pick('currentPhase') || 'UNKNOWN',
+    equilibriumStatus: pick('equilibriumStatus') || 'UNKNOWN',
+    lastMove: lastMove && typeof lastMove === 'object'
+      ? `${lastMove.player || 'Unknown'} - ${lastMove.action || 'Unknown'} (${lastMove.type || 'UNKNOWN'}) on ${lastMove.date || 'unknown date'}`
+      : 'None recorded',
+    nextLikelyMove: pick('nextLikelyMove') || 'Unknown'
+  };
+}
+
+module.exports = {
+  PROMPT_PLACEHOLDER,
+  fillPrompt,
+  gameAnalysisVariables
+};
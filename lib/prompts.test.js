@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fillPrompt, gameAnalysisVariables } = require('./prompts');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// The shipped spec for one prompt, loaded the way the registry loads it
+function shippedSpec(id) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, 'prompts.json'), 'utf8'));
+  const spec = manifest[id];
+  const template = fs.readFileSync(path.join(PROMPTS_DIR, id, `v${spec.active}.txt`), 'utf8').replace(/\n$/, '');
+  return { id, active: spec.active, variables: spec.variables, versions: { [spec.active]: template } };
+}
+
+// POST /api/analyze-game body exactly as the terminal builds it (index, game analysis modal)
+const uiBody = (game) => JSON.parse(JSON.stringify({
+  gameId: game.id,
+  title: game.title,
+  players: game.players,
+  currentPhase: game.currentPhase,
+  lastMove: game.lastMove,
+  equilibriumStatus: game.equilibriumStatus,
+  nextLikelyMove: game.nextLikelyMove
+}));
+
+const BOARD_GAME = {
+  id: 'chip_war',
+  title: 'US-China Tech War',
+  emoji: '💾',
+  players: ['USA', 'China'],
+  currentPhase: 'ESCALATION',
+  lastMove: { player: 'USA', action: 'Expands chip export controls', type: 'DEFECT', date: '2026-10-01' },
+  equilibriumStatus: 'UNSTABLE',
+  nextLikelyMove: 'China restricts gallium exports'
+};
+
+test('game_analysis renders from the body the terminal sends (no emoji)', () => {
+  const body = uiBody(BOARD_GAME);
+  assert.equal(body.emoji, undefined);
+
+  const { text, ref } = fillPrompt(shippedSpec('game_analysis'), gameAnalysisVariables(body, undefined, 'MARKETS: calm'));
+  assert.deepEqual(ref, { id: 'game_analysis', version: 1 });
+  assert.match(text, /CONFLICT: +US-China Tech War/);
+  assert.match(text, /PLAYERS: USA vs China/);
+  assert.match(text, /LAST MOVE: USA - Expands chip export controls \(DEFECT\) on 2026-10-01/);
+  assert.doesNotMatch(text, /undefined|\{\{/);
+});
+
+test('stored game fills what the body leaves out', () => {
+  const vars = gameAnalysisVariables(uiBody(BOARD_GAME), BOARD_GAME);
+  assert.equal(vars.emoji, '💾');
+  assert.equal(vars.nextLikelyMove, 'China restricts gallium exports');
+});
+
+test('a freshly created game with no moves or prediction still renders', () => {
+  const fresh = { id: 'new_game', title: 'New standoff', players: [], currentPhase: 'OPENING' };
+  const { text } = fillPrompt(shippedSpec('game_analysis'), gameAnalysisVariables(uiBody(fresh)));
+  assert.match(text, /PLAYERS: Unknown/);
+  assert.match(text, /LAST MOVE: None recorded/);
+  assert.match(text, /EQUILIBRIUM STATUS: UNKNOWN/);
+  assert.match(text, /PREDICTED NEXT MOVE: Unknown/);
+});
+
+test('fillPrompt names missing variables and unknown versions', () => {
+  const spec = { id: 'demo', active: 1, variables: ['a', 'b'], versions: { 1: '{{a}}-{{ b }}' } };
+  assert.deepEqual(fillPrompt(spec, { a: 1, b: '' }), { text: '1-', ref: { id: 'demo', version: 1 } });
+  assert.throws(() => fillPrompt(spec, { a: 1 }), /demo@v1 is missing variables: b/);
+  assert.throws(() => fillPrompt(spec, { a: 1, b: 2 }, 3), /has no version v3/);
+});
@@ -10,12 +10,510 @@ const Parser = require('rss-parser');
 const fs = require('fs');
 const path = require('path');
 const { GoogleGenAI } = require('@google/genai');
+const { MAX_MATRIX_STRATEGIES, isValidPayoffMatrix, solvePayoffMatrix } = require('./lib/nash-solver');
+const { clusterHeadlines, headlineFingerprint, fingerprintOverlap } = require('./lib/orphan-clustering');
+const { validateAgainstSchema, parseAiJson } = require('./lib/ai-output');
+const { PROMPT_PLACEHOLDER, fillPrompt, gameAnalysisVariables } = require('./lib/prompts');
+const {
+  DEFAULT_MATCH_MIN_SCORE, termRegex, termMatches, isNegated, matchGame, bestGameMatch, matchCardsToGame
+} = require('./lib/headline-matcher');
+const { parseModelRef, runLlmChain } = require('./lib/llm-chain');
 require('dotenv').config();
 
 // ============================================================================
 // BLACK BOX RECORDER - Persistence Engine
 // ============================================================================
+// Two layers: an append-only journal of every state-changing event, plus a
+// compacted snapshot written every 60s. On boot the snapshot is loaded and
+// every journal event recorded after it is replayed on top.
 const STATE_FILE = path.join(__dirname, 'sentinel_state.json');
+const JOURNAL_FILE = path.join(__dirname, 'sentinel_journal.jsonl');
+const JOURNAL_MAX_BYTES = 20 * 1024 * 1024; // Rotate the live journal at 20MB
+const JOURNAL_MAX_SEGMENTS = 5;             // Rotated segments kept on disk
+
+let journalSeq = 0;
+let journalBytes = 0;
+let journalReplaying = false;
+
+// Engine caches carried across restarts - anything older than its TTL is dropped on restore
+const ENGINE_RESTORE_TTL = {
+  orphanHeadlines: 4 * 60 * 60 * 1000,   // Emerging-conflict cluster window
+  catalysts: 24 * 60 * 60 * 1000,
+  highLow: 12 * 60 * 60 * 1000,
+  seenArticles: 48 * 60 * 60 * 1000,     // Feeds skip items older than 48h anyway
+  strategicHistory: 30 * 60 * 1000       // 30 points at one per minute
+};
+
+// How each journal event is re-applied to in-memory state during replay.
+// Payloads carry resulting objects (not diffs), and log entries are skipped when one with
+// the same id (or type and timestamp) is already there, so replaying the game state twice
+// is harmless. The card feed and usage counters are the exception - they just append.
+const JOURNAL_REDUCERS = {
+  card_broadcast: ({ card }) => {
+    recentCards.unshift(card);
+    if (recentCards.length > MAX_RECENT_CARDS) recentCards.pop();
+  },
+  game_commit: ({ gameId, game }) => {
+    activeGames[gameId] = game;
+  },
+  game_archived: ({ gameId, game }) => {
+    archivedGames[gameId] = game;
+    delete activeGames[gameId];
+    delete stableStartDates[gameId];
+  },
+  game_reemerged: ({ gameId, game }) => {
+    activeGames[gameId] = game;
+    delete archivedGames[gameId];
+  },
+  proposal_added: ({ proposal }, { ts }) => {
+    if (!emergingConflictQueue.some(p => p.id === proposal.id)) {
+      emergingConflictQueue.push(proposal);
+    }
+    countEmergingUsage('generated', ts);
+  },
+  proposal_accepted: ({ proposalId, gameId, game }, { ts }) => {
+    emergingConflictQueue = emergingConflictQueue.filter(p => p.id !== proposalId);
+    activeGames[gameId] = game;
+    countEmergingUsage('accepted', ts);
+  },
+  proposal_dismissed: ({ proposalId, fingerprint }, { ts }) => {
+    emergingConflictQueue = emergingConflictQueue.filter(p => p.id !== proposalId);
+    if (fingerprint && !dismissedFingerprints.some(f => f.proposalId === fingerprint.proposalId)) dismissedFingerprints.push(fingerprint);
+    countEmergingUsage('dismissed', ts);
+  },
+  proposal_snoozed: ({ proposalId, snoozedUntil }, { ts }) => {
+    const proposal = emergingConflictQueue.find(p => p.id === proposalId);
+    emergingConflictQueue = emergingConflictQueue.filter(p => p.id !== proposalId);
+    if (proposal) snoozedProposals.push({ ...proposal, snoozedUntil });
+    countEmergingUsage('snoozed', ts);
+  },
+  proposal_woken: ({ proposalId, wokenAt }) => {
+    const proposal = snoozedProposals.find(p => p.id === proposalId);
+    snoozedProposals = snoozedProposals.filter(p => p.id !== proposalId);
+    if (proposal) {
+      const { snoozedUntil, ...rest } = proposal;
+      emergingConflictQueue.push({ ...rest, wokenAt });
+    }
+  },
+  proposal_expired: ({ proposalId }, { ts }) => {
+    emergingConflictQueue = emergingConflictQueue.filter(p => p.id !== proposalId);
+    countEmergingUsage('expired', ts);
+  },
+  proposal_merged: ({ proposalId }, { ts }) => {
+    emergingConflictQueue = emergingConflictQueue.filter(p => p.id !== proposalId);
+    countEmergingUsage('merged', ts);
+  },
+  emerging_config: ({ config }) => {
+    applyEmergingConfig(config);
+  },
+  beam_status: ({ beamId, to }) => {
+    beamStatuses[beamId] = to;
+  },
+  state_imported: (payload) => {
+    applyStateImport(payload);
+  },
+  game_move: ({ gameId, move }) => {
+    if (!gameMoveLog[gameId]) gameMoveLog[gameId] = [];
+    if (!gameMoveLog[gameId].some(m => m.id === move.id)) gameMoveLog[gameId].push(move);
+  },
+  archive_cycle: ({ gameId, entry }) => {
+    if (!archiveCycleLog[gameId]) archiveCycleLog[gameId] = [];
+    const log = archiveCycleLog[gameId];
+    if (!log.some(e => e.type === entry.type && e.timestamp === entry.timestamp)) log.push(entry);
+  },
+  game_deleted: ({ gameId }) => {
+    deleteArchivedGame(gameId);
+  },
+  move_study: ({ gameId, moveId, marketStudy }) => {
+    const move = (gameMoveLog[gameId] || []).find(m => m.id === moveId);
+    if (move) move.marketStudy = marketStudy;
+  },
+  escalation_change: ({ gameId, change }) => {
+    if (!escalationLog[gameId]) escalationLog[gameId] = [];
+    if (!escalationLog[gameId].some(c => c.id === change.id)) escalationLog[gameId].push(change);
+  },
+  audit_entry: ({ entry }) => {
+    if (gameAuditLog.some(e => e.id === entry.id)) return;
+    gameAuditLog.push(entry);
+    if (gameAuditLog.length > MAX_AUDIT_ENTRIES) gameAuditLog.shift();
+  },
+  audit_override: ({ auditId, override }) => {
+    const entry = gameAuditLog.find(e => e.id === auditId);
+    if (entry) Object.assign(entry, { verdict: 'OVERRIDDEN', override });
+  },
+  pending_update_added: ({ update }) => {
+    if (!pendingGameUpdates.some(u => u.id === update.id)) pendingGameUpdates.push(update);
+  },
+  pending_update_edited: ({ update }) => {
+    pendingGameUpdates = pendingGameUpdates.map(u => u.id === update.id ? update : u);
+  },
+  pending_update_resolved: ({ updateId }) => {
+    pendingGameUpdates = pendingGameUpdates.filter(u => u.id !== updateId);
+  },
+  supervision_set: ({ global }) => {
+    gameSupervision.global = global;
+  },
+  scenario_update: ({ gameId, scenarios, entry, seen }) => {
+    if (activeGames[gameId]) activeGames[gameId].scenarios = scenarios;
+    if (!scenarioHistory[gameId]) scenarioHistory[gameId] = [];
+    const history = scenarioHistory[gameId];
+    if (!history.some(e => e.reason === entry.reason && e.timestamp === entry.timestamp)) history.push(entry);
+    scenarioEvidenceSeen[gameId] = seen;
+  }
+};
+
+// Append a state-changing event to the journal.
+// Written synchronously so the event is on disk before the caller moves on.
+function recordEvent(type, payload) {
+  if (journalReplaying) return null;
+  
+  const event = { seq: ++journalSeq, ts: Date.now(), type, payload };
+  try {
+    const line = JSON.stringify(event) + '\n';
+    fs.appendFileSync(JOURNAL_FILE, line);
+    journalBytes += Buffer.byteLength(line);
+    if (journalBytes > JOURNAL_MAX_BYTES) rotateJournal();
+  } catch (e) {
+    console.error('Black Box Journal Write Failed:', e.message);
+  }
+  return event;
+}
+
+// Read journal events from disk, skipping a torn trailing line from a crash
+function readJournal(file = JOURNAL_FILE) {
+  if (!fs.existsSync(file)) return [];
+  
+  const events = [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      console.warn('Black Box: skipped unreadable journal line');
+    }
+  }
+  return events;
+}
+
+// Snapshot first so the rotated segment is never needed for replay, then shift segments
+function rotateJournal() {
+  saveSystemState();
+  try {
+    const segment = (n) => `${JOURNAL_FILE}.${n}`;
+    if (fs.existsSync(segment(JOURNAL_MAX_SEGMENTS))) fs.unlinkSync(segment(JOURNAL_MAX_SEGMENTS));
+    for (let n = JOURNAL_MAX_SEGMENTS - 1; n >= 1; n--) {
+      if (fs.existsSync(segment(n))) fs.renameSync(segment(n), segment(n + 1));
+    }
+    fs.renameSync(JOURNAL_FILE, segment(1));
+    journalBytes = 0;
+    console.log(`Black Box: journal rotated at seq ${journalSeq}`);
+  } catch (e) {
+    console.error('Black Box Journal Rotation Failed:', e.message);
+  }
+}
+
+// State schema versions (snapshots and export bundles share the chain):
+//   1 - original snapshot; games may predate proxies/resource/escalationLevel
+//   2 - schemaVersion field, beam statuses, engine caches, journal sequence
+//   3 - games carry escalationSince/scenarios/nash; audit, pending-review, scenario,
+//       archive-cycle and emerging-lifecycle stores; proposals always have proposedAt
+const STATE_SCHEMA_VERSION = 3;
+const STATE_BUNDLE_FORMAT = 'nuthatch-desk-bundle';
+
+// Backfill fields added to the game object over time
+function normalizeGameShape(game, gameId) {
+  const level = parseInt(game.escalationLevel);
+  return {
+    ...game,
+    id: game.id || gameId,
+    players: Array.isArray(game.players) ? game.players : [],
+    keywords: Array.isArray(game.keywords) ? game.keywords : [],
+    proxies: Array.isArray(game.proxies) ? game.proxies : [],
+    resource: game.resource || 'NONE',
+    escalationLevel: level >= 1 && level <= 5 ? level : 1
+  };
+}
+
+function mapGames(games, fn) {
+  return Object.fromEntries(Object.entries(games || {}).map(([id, g]) => [id, fn(g, id)]));
+}
+
+// Each entry upgrades a state from version N to N+1
+const STATE_MIGRATIONS = {
+  1: (state) => ({
+    ...state,
+    activeGames: mapGames(state.activeGames, normalizeGameShape),
+    archivedGames: mapGames(state.archivedGames, normalizeGameShape),
+    emergingConflictQueue: (state.emergingConflictQueue || []).map(p => ({
+      ...p,
+      proxies: p.proxies || [],
+      resource: p.resource || 'NONE'
+    })),
+    schemaVersion: 2
+  }),
+  2: (state) => {
+    const upgradeGame = (game) => withEquilibrium({
+      ...game,
+      escalationSince: game.escalationSince || game.createdAt || null,
+      scenarios: game.scenarios || null
+    });
+    const asList = (v) => Array.isArray(v) ? v : [];
+    const asMap = (v) => v && typeof v === 'object' && !Array.isArray(v) ? v : {};
+    return {
+      ...state,
+      activeGames: mapGames(state.activeGames, upgradeGame),
+      archivedGames: mapGames(state.archivedGames, upgradeGame),
+      emergingConflictQueue: asList(state.emergingConflictQueue).map(p => ({
+        ...p,
+        proposedAt: proposalCreatedAt(p) || Date.now()
+      })),
+      gameMoveLog: asMap(state.gameMoveLog),
+      escalationLog: asMap(state.escalationLog),
+      gameAuditLog: asList(state.gameAuditLog),
+      pendingGameUpdates: asList(state.pendingGameUpdates),
+      scenarioHistory: asMap(state.scenarioHistory),
+      archiveCycleLog: asMap(state.archiveCycleLog),
+      snoozedProposals: asList(state.snoozedProposals),
+      dismissedFingerprints: asList(state.dismissedFingerprints),
+      emergingUsage: asMap(state.emergingUsage),
+      schemaVersion: 3
+    };
+  }
+};
+
+function migrateState(state) {
+  let version = state.schemaVersion || 1;
+  if (version > STATE_SCHEMA_VERSION) {
+    throw new Error(`State schema v${version} is newer than this server (v${STATE_SCHEMA_VERSION})`);
+  }
+  
+  while (version < STATE_SCHEMA_VERSION) {
+    const migrate = STATE_MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from state schema v${version}`);
+    state = migrate(state);
+    console.log(`Black Box: migrated state schema v${version} → v${state.schemaVersion}`);
+    version = state.schemaVersion;
+  }
+  return state;
+}
+
+// Portable desk bundle - curated games, archive, pending proposals and the desk's logs
+function buildStateBundle() {
+  return {
+    format: STATE_BUNDLE_FORMAT,
+    schemaVersion: STATE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    activeGames,
+    archivedGames,
+    emergingConflictQueue,
+    gameMoveLog,
+    escalationLog,
+    gameAuditLog,
+    scenarioHistory,
+    archiveCycleLog
+  };
+}
+
+// audits/scenarios/cycles are absent from imports journaled before schema v3 - leave those stores alone
+function applyStateImport({ games, archived, queue, moves = {}, escalations = {}, audits, scenarios, cycles, mode }) {
+  if (mode === 'merge') {
+    Object.assign(activeGames, games);
+    Object.assign(archivedGames, archived);
+    Object.assign(gameMoveLog, moves);
+    Object.assign(escalationLog, escalations);
+    if (scenarios) Object.assign(scenarioHistory, scenarios);
+    if (cycles) Object.assign(archiveCycleLog, cycles);
+    if (audits) {
+      const known = new Set(gameAuditLog.map(e => e.id));
+      gameAuditLog = [...gameAuditLog, ...audits.filter(e => !known.has(e.id))]
+        .sort((a, b) => String(a.reviewedAt).localeCompare(String(b.reviewedAt)))
+        .slice(-MAX_AUDIT_ENTRIES);
+    }
+    // A game lives on one board only - the imported copy decides which
+    Object.keys(games).forEach(id => delete archivedGames[id]);
+    Object.keys(archived).forEach(id => delete activeGames[id]);
+    queue.forEach(p => {
+      if (!emergingConflictQueue.some(q => q.id === p.id)) emergingConflictQueue.push(p);
+    });
+  } else {
+    activeGames = games;
+    archivedGames = archived;
+    emergingConflictQueue = queue;
+    gameMoveLog = moves;
+    escalationLog = escalations;
+    if (audits) gameAuditLog = audits.slice(-MAX_AUDIT_ENTRIES);
+    if (scenarios) scenarioHistory = scenarios;
+    if (cycles) archiveCycleLog = cycles;
+  }
+  
+  Object.keys(stableStartDates).forEach(id => {
+    if (!activeGames[id]) delete stableStartDates[id];
+  });
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// Imported games and proposals go through the same field rules as POST /api/games - a bad
+// one would otherwise only surface later, inside the matcher or a cron engine.
+// Returns { ids: { section: [id, ...] }, details: ['section.id: problem', ...] }.
+function findInvalidImports({ games, archived, queue }) {
+  const ids = {};
+  const details = [];
+  const flag = (section, id, problems) => {
+    if (problems.length === 0) return;
+    (ids[section] ||= []).push(id);
+    problems.forEach(problem => details.push(`${section}.${id}: ${problem}`));
+  };
+  const checkGame = (game) => isPlainObject(game)
+    ? validateGameInput(game, { allowUnknown: true }).errors
+    : ['must be a game object'];
+  
+  Object.entries(games).forEach(([id, game]) => flag('activeGames', id, checkGame(game)));
+  Object.entries(archived).forEach(([id, game]) => flag('archivedGames', id, checkGame(game)));
+  queue.forEach((proposal, i) => {
+    if (!isPlainObject(proposal) || !isNonEmptyString(proposal.id)) return flag('emergingConflictQueue', `[${i}]`, ['must be a proposal with an id']);
+    // Checked as the game accepting it would create
+    const asGame = Object.fromEntries(['title', 'players', 'keywords', 'currentPhase', 'proxies', 'resource', 'escalationLevel', 'location']
+      .filter(field => proposal[field] !== undefined && proposal[field] !== null)
+      .map(field => [field, proposal[field]]));
+    flag('emergingConflictQueue', proposal.id, validateGameInput(asGame).errors);
+  });
+  return { ids, details };
+}
+
+// Import a bundle (or a hand-copied sentinel_state.json) through the migration chain.
+// Throws on a bad bundle; err.invalid/err.details name the games and proposals at fault.
+function importStateBundle(bundle, mode = 'replace') {
+  if (!isPlainObject(bundle) || !isPlainObject(bundle.activeGames)) {
+    throw new Error('Bundle must contain an activeGames object');
+  }
+  if (bundle.archivedGames !== undefined && !isPlainObject(bundle.archivedGames)) {
+    throw new Error('archivedGames must be an object keyed by game id');
+  }
+  if (bundle.emergingConflictQueue !== undefined && !Array.isArray(bundle.emergingConflictQueue)) {
+    throw new Error('emergingConflictQueue must be a list');
+  }
+  if (bundle.format && bundle.format !== STATE_BUNDLE_FORMAT) {
+    throw new Error(`Unknown bundle format: ${bundle.format}`);
+  }
+  
+  // Migrations dereference game fields, so non-objects are reported before they run
+  const notGames = findInvalidImports({
+    games: Object.fromEntries(Object.entries(bundle.activeGames).filter(([, g]) => !isPlainObject(g))),
+    archived: Object.fromEntries(Object.entries(bundle.archivedGames || {}).filter(([, g]) => !isPlainObject(g))),
+    queue: []
+  });
+  const migrated = notGames.details.length > 0 ? null : migrateState(bundle);
+  const invalid = migrated ? findInvalidImports({
+    games: migrated.activeGames,
+    archived: migrated.archivedGames || {},
+    queue: migrated.emergingConflictQueue || []
+  }) : notGames;
+  if (invalid.details.length > 0) {
+    const err = new Error(`Bundle has invalid games or proposals (${invalid.details.length} problem(s))`);
+    err.invalid = invalid.ids;
+    err.details = invalid.details;
+    throw err;
+  }
+  
+  const payload = {
+    games: migrated.activeGames,
+    archived: migrated.archivedGames || {},
+    queue: Array.isArray(migrated.emergingConflictQueue) ? migrated.emergingConflictQueue : [],
+    moves: migrated.gameMoveLog || {},
+    escalations: migrated.escalationLog || {},
+    // Bundles exported before v3 carry no logs - importing one must not wipe the desk's
+    audits: bundle.gameAuditLog ? migrated.gameAuditLog : undefined,
+    scenarios: bundle.scenarioHistory ? migrated.scenarioHistory : undefined,
+    cycles: bundle.archiveCycleLog ? migrated.archiveCycleLog : undefined,
+    mode
+  };
+  
+  applyStateImport(payload);
+  recordEvent('state_imported', payload);
+  saveSystemState();
+  
+  return {
+    fromVersion: bundle.schemaVersion || 1,
+    activeGames: Object.keys(payload.games).length,
+    archivedGames: Object.keys(payload.archived).length,
+    proposals: payload.queue.length,
+    auditEntries: payload.audits ? payload.audits.length : 0
+  };
+}
+
+// Calendar quarter key (e.g. 2026-Q1) - quarterly regime levels are only valid inside one
+function getQuarterKey(date) {
+  return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+}
+
+function serializeEngineState() {
+  return {
+    orphanHeadlineBuffer,
+    globalCatalystQueue,
+    quarterlyCache,
+    cachedHighLowData,
+    stableStartDates,
+    seenArticles: [...seenArticles],
+    dailyProposals: { date: new Date().toDateString(), count: dailyProposalCount },
+    strategicHistoryBuffer,
+    articleSummaryCache: [...articleSummaryCache.entries()]
+  };
+}
+
+function restoreEngineState(engine, savedAt) {
+  const now = Date.now();
+  const isFresh = (ts, ttl) => !!ts && (now - ts) < ttl;
+  
+  const orphanTtl = Math.max(ENGINE_RESTORE_TTL.orphanHeadlines, ORPHAN_CLUSTER_CONFIG.windowHours * 60 * 60 * 1000);
+  (engine.orphanHeadlineBuffer || [])
+    .filter(o => isFresh(o.timestamp, orphanTtl))
+    .forEach(o => orphanHeadlineBuffer.push(o));
+  
+  if (engine.globalCatalystQueue) {
+    globalCatalystQueue = engine.globalCatalystQueue
+      .filter(c => isFresh(c.timestamp, ENGINE_RESTORE_TTL.catalysts));
+  }
+  
+  if (engine.quarterlyCache && savedAt && getQuarterKey(new Date(savedAt)) === getQuarterKey(new Date())) {
+    quarterlyCache = engine.quarterlyCache;
+  }
+  
+  for (const [key, hl] of Object.entries(engine.cachedHighLowData || {})) {
+    if (isFresh(hl.timestamp, ENGINE_RESTORE_TTL.highLow)) cachedHighLowData[key] = hl;
+  }
+  
+  // Stability clocks only matter for games that are still on the board
+  for (const [gameId, since] of Object.entries(engine.stableStartDates || {})) {
+    if (activeGames[gameId]) stableStartDates[gameId] = new Date(since);
+  }
+  
+  if (isFresh(savedAt, ENGINE_RESTORE_TTL.seenArticles)) {
+    (engine.seenArticles || []).forEach(id => seenArticles.add(id));
+  }
+  
+  // Daily cap survives a mid-day restart, resets if we come back on a new day
+  if (engine.dailyProposals?.date === new Date().toDateString()) {
+    dailyProposalCount = engine.dailyProposals.count || 0;
+  }
+  
+  const history = engine.strategicHistoryBuffer;
+  if (history?.timestamps) {
+    history.timestamps.forEach((ts, i) => {
+      if (!isFresh(ts, ENGINE_RESTORE_TTL.strategicHistory)) return;
+      Object.keys(strategicHistoryBuffer).forEach(k => {
+        if (history[k]?.[i] !== undefined) strategicHistoryBuffer[k].push(history[k][i]);
+      });
+    });
+  }
+  
+  for (const [link, intel] of engine.articleSummaryCache || []) {
+    if (isFresh(intel.timestamp, SUMMARY_CACHE_TTL)) articleSummaryCache.set(link, intel);
+  }
+  
+  console.log(`Black Box Engine: ${orphanHeadlineBuffer.length} orphans, ${globalCatalystQueue.length} catalysts, ${seenArticles.size} seen articles, ${articleSummaryCache.size} summaries, ${dailyProposalCount} proposals today restored`);
+}
 
 function saveSystemState() {
   try {
@@ -23,10 +521,30 @@ function saveSystemState() {
       activeGames,
       archivedGames,
       emergingConflictQueue,
-      recentCards: recentCards.slice(0, 50),
+      snoozedProposals,
+      dismissedFingerprints,
+      recentCards: recentCards.slice(0, MAX_RECENT_CARDS),
+      beamStatuses,
+      gameMoveLog,
+      escalationLog,
+      gameAuditLog,
+      pendingGameUpdates,
+      scenarioHistory,
+      scenarioEvidenceSeen,
+      archiveCycleLog,
+      emergingConfig: getEmergingConfig(),
+      emergingUsage,
+      supervisedGlobal: gameSupervision.global,
+      catalogueBaseline,
+      engine: serializeEngineState(),
+      schemaVersion: STATE_SCHEMA_VERSION,
+      journalSeq,
       timestamp: Date.now()
     };
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    // Write-then-rename so a crash mid-write never leaves a half snapshot
+    const tmpFile = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpFile, STATE_FILE);
     // console.log('Black Box: System State Saved');
   } catch (e) {
     console.error('Black Box Save Failed:', e.message);
@@ -34,34 +552,316 @@ function saveSystemState() {
 }
 
 function loadSystemState() {
+  let snapshotSeq = 0;
+  
   if (fs.existsSync(STATE_FILE)) {
     try {
       const raw = fs.readFileSync(STATE_FILE);
-      const state = JSON.parse(raw);
+      const state = migrateState(JSON.parse(raw));
       
       if (state.activeGames) activeGames = state.activeGames;
       if (state.archivedGames) archivedGames = state.archivedGames;
       if (state.emergingConflictQueue) emergingConflictQueue = state.emergingConflictQueue;
+      if (state.snoozedProposals) snoozedProposals = state.snoozedProposals;
+      if (state.dismissedFingerprints) dismissedFingerprints = state.dismissedFingerprints;
+      if (state.beamStatuses) Object.assign(beamStatuses, state.beamStatuses);
+      if (state.gameMoveLog) gameMoveLog = state.gameMoveLog;
+      if (state.escalationLog) escalationLog = state.escalationLog;
+      if (state.gameAuditLog) gameAuditLog = state.gameAuditLog;
+      if (state.pendingGameUpdates) pendingGameUpdates = state.pendingGameUpdates;
+      if (state.scenarioHistory) scenarioHistory = state.scenarioHistory;
+      if (state.archiveCycleLog) archiveCycleLog = state.archiveCycleLog;
+      if (state.emergingConfig) applyEmergingConfig(state.emergingConfig);
+      if (state.emergingUsage) emergingUsage = state.emergingUsage;
+      if (state.scenarioEvidenceSeen) scenarioEvidenceSeen = state.scenarioEvidenceSeen;
+      if (typeof state.supervisedGlobal === 'boolean') gameSupervision.global = state.supervisedGlobal;
+      if (state.catalogueBaseline) catalogueBaseline = state.catalogueBaseline;
+      snapshotSeq = state.journalSeq || 0;
       
       if (recentCards.length === 0 && state.recentCards) {
         state.recentCards.forEach(c => recentCards.push(c));
       }
       
+      if (state.engine) restoreEngineState(state.engine, state.timestamp);
+      
       console.log(`Black Box Loaded: ${Object.keys(activeGames || {}).length} Active Games restored.`);
     } catch (e) {
-      console.error('Black Box Corrupted. Starting Fresh.', e.message);
+      // Keep the unreadable snapshot aside so the next save doesn't destroy it
+      const preserved = `${STATE_FILE}.unreadable-${Date.now()}`;
+      try {
+        fs.copyFileSync(STATE_FILE, preserved);
+      } catch (copyErr) {
+        console.error('Black Box: could not preserve unreadable snapshot:', copyErr.message);
+      }
+      console.error(`Black Box Unreadable (kept as ${path.basename(preserved)}). Starting Fresh.`, e.message);
+    }
+  }
+  
+  // Replay everything the journal recorded after the snapshot was taken
+  const events = readJournal();
+  let replayed = 0;
+  journalReplaying = true;
+  for (const event of events) {
+    journalSeq = Math.max(journalSeq, event.seq || 0);
+    if (event.seq <= snapshotSeq) continue;
+    
+    const reducer = JOURNAL_REDUCERS[event.type];
+    if (!reducer) continue;
+    try {
+      reducer(event.payload || {}, event);
+      replayed++;
+    } catch (e) {
+      console.error(`Black Box: replay of event ${event.seq} (${event.type}) failed:`, e.message);
     }
   }
+  journalReplaying = false;
+  journalSeq = Math.max(journalSeq, snapshotSeq);
+  journalBytes = fs.existsSync(JOURNAL_FILE) ? fs.statSync(JOURNAL_FILE).size : 0;
+  
+  if (replayed > 0) {
+    console.log(`Black Box Journal: replayed ${replayed} events (seq ${snapshotSeq} → ${journalSeq})`);
+  }
+}
+
+// ============================================================================
+// LLM PROVIDERS - per-feature model chains with fallback
+// ============================================================================
+// llm_providers.json names the providers (gemini, anthropic, or any OpenAI-compatible
+// endpoint such as a local model server) and, per feature (= prompt id), an ordered chain
+// of "provider:model" refs. A call walks its chain until one answers; errors, timeouts and
+// empty replies move on to the next ref. Providers without credentials are skipped
+// (the walk is lib/llm-chain.js). The file is watched like the game catalogue.
+const LLM_PROVIDERS_FILE = process.env.LLM_PROVIDERS_FILE || path.join(__dirname, 'llm_providers.json');
+const LLM_PROVIDER_TYPES = ['gemini', 'anthropic', 'openai'];
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+
+let llmConfig = { timeoutMs: 45000, providers: {}, defaultChain: [], features: {} };
+const llmStats = {}; // provider -> { calls, failures, lastError, lastErrorAt, lastOkAt }
+let llmFallbackCount = 0;
+const geminiClients = new Map(); // apiKey|baseUrl -> GoogleGenAI
+
+// Read and validate llm_providers.json. Throws (keeping the old config) if invalid.
+function loadLlmProviders() {
+  const raw = JSON.parse(fs.readFileSync(LLM_PROVIDERS_FILE, 'utf8'));
+  const errors = [];
+  const providers = raw.providers || {};
+  const isTimeout = (v) => Number.isInteger(v) && v >= 1000 && v <= 600000;
+  
+  if (!isTimeout(raw.timeoutMs)) errors.push('timeoutMs must be an integer between 1000 and 600000');
+  for (const [name, spec] of Object.entries(providers)) {
+    if (!LLM_PROVIDER_TYPES.includes(spec.type)) errors.push(`providers.${name}.type must be one of ${LLM_PROVIDER_TYPES.join(', ')}`);
+    if (spec.type === 'openai' && !spec.baseUrl && !spec.baseUrlEnv) errors.push(`providers.${name} needs baseUrl or baseUrlEnv`);
+    if (spec.timeoutMs !== undefined && !isTimeout(spec.timeoutMs)) errors.push(`providers.${name}.timeoutMs must be an integer between 1000 and 600000`);
+    if (spec.maxTokens !== undefined && !isPositiveInt(spec.maxTokens)) errors.push(`providers.${name}.maxTokens must be a positive integer`);
+  }
+  
+  const checkChain = (label, chain) => {
+    if (!Array.isArray(chain) || chain.length === 0) return errors.push(`${label} must be a non-empty list of "provider:model" refs`);
+    chain.forEach(ref => {
+      const parsed = parseModelRef(ref);
+      if (!parsed) errors.push(`${label}: "${ref}" is not a "provider:model" ref`);
+      else if (!providers[parsed.provider]) errors.push(`${label}: unknown provider ${parsed.provider}`);
+    });
+  };
+  checkChain('defaultChain', raw.defaultChain);
+  for (const [feature, chain] of Object.entries(raw.features || {})) {
+    if (!promptRegistry[feature]) errors.push(`features.${feature}: no prompt with that id`);
+    checkChain(`features.${feature}`, chain);
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM providers:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  llmConfig = { timeoutMs: raw.timeoutMs, providers, defaultChain: raw.defaultChain, features: raw.features || {} };
+  geminiClients.clear();
+  const ready = Object.keys(providers).filter(name => resolveLlmProvider(name).ready);
+  console.log(`🤖 LLM providers: ${Object.keys(providers).length} configured (${ready.join(', ') || 'none'} ready), ${Object.keys(llmConfig.features).length} feature overrides`);
+}
+
+function watchLlmProviders() {
+  let reloadTimer = null;
+  const fileName = path.basename(LLM_PROVIDERS_FILE);
+  
+  try {
+    fs.watch(path.dirname(LLM_PROVIDERS_FILE), (eventType, changed) => {
+      if (changed !== fileName) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        try {
+          loadLlmProviders();
+        } catch (e) {
+          console.error('🤖 LLM provider reload rejected:', e.message);
+        }
+      }, 500);
+    });
+    console.log(`🤖 Watching ${fileName} for changes`);
+  } catch (e) {
+    console.error('🤖 Could not watch LLM providers:', e.message);
+  }
+}
+
+// Credentials come from the environment; the file only names the variables
+function resolveLlmProvider(name) {
+  const spec = llmConfig.providers[name];
+  if (!spec) return { ready: false };
+  
+  const apiKey = (spec.apiKeyEnv && process.env[spec.apiKeyEnv]) || (spec.type === 'anthropic' ? CONFIG.ANTHROPIC_API_KEY : '');
+  // Gemini's SDK has its own default endpoint; Anthropic's adapter needs one spelled out
+  const baseUrl = (spec.baseUrlEnv && process.env[spec.baseUrlEnv]) || spec.baseUrl || (spec.type === 'anthropic' ? ANTHROPIC_BASE_URL : '');
+  // Local OpenAI-compatible servers usually run without a key
+  const ready = spec.type === 'openai' ? !!baseUrl : !!apiKey;
+  return { ...spec, name, apiKey, baseUrl, ready, timeoutMs: spec.timeoutMs || llmConfig.timeoutMs };
 }
 
-// Gemini AI client using Replit AI Integrations
-const ai = new GoogleGenAI({
-  apiKey: process.env.AI_INTEGRATIONS_GEMINI_API_KEY,
-  httpOptions: {
-    apiVersion: "",
-    baseUrl: process.env.AI_INTEGRATIONS_GEMINI_BASE_URL,
+function llmChainFor(feature) {
+  return (llmConfig.features[feature] || llmConfig.defaultChain).map(parseModelRef);
+}
+
+// Each adapter sends one user turn and resolves to the reply text
+const LLM_ADAPTERS = {
+  gemini: async (provider, model, text, signal) => {
+    const key = `${provider.apiKey}|${provider.baseUrl}`;
+    if (!geminiClients.has(key)) {
+      geminiClients.set(key, new GoogleGenAI({
+        apiKey: provider.apiKey,
+        httpOptions: provider.baseUrl ? { apiVersion: "", baseUrl: provider.baseUrl } : undefined
+      }));
+    }
+    const response = await geminiClients.get(key).models.generateContent({
+      model,
+      contents: [{ role: "user", parts: [{ text }] }],
+      config: { abortSignal: signal }
+    });
+    return response.candidates?.[0]?.content?.parts?.[0]?.text || '';
   },
-});
+  
+  anthropic: async (provider, model, text, signal) => {
+    const response = await axios.post(`${provider.baseUrl.replace(/\/$/, '')}/v1/messages`, {
+      model,
+      max_tokens: provider.maxTokens || 4096,
+      messages: [{ role: 'user', content: text }]
+    }, {
+      signal,
+      headers: { 'x-api-key': provider.apiKey, 'anthropic-version': '2023-06-01' }
+    });
+    return (response.data?.content || []).filter(part => part.type === 'text').map(part => part.text).join('');
+  },
+  
+  openai: async (provider, model, text, signal) => {
+    const response = await axios.post(`${provider.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      model,
+      ...(provider.maxTokens ? { max_tokens: provider.maxTokens } : {}),
+      messages: [{ role: 'user', content: text }]
+    }, {
+      signal,
+      headers: provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {}
+    });
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+};
+
+// Run a rendered prompt (see renderPrompt) through its feature chain (the prompt id unless given).
+// Returns { text, provider, model, attempts }; throws listing every attempt if the chain is exhausted.
+async function generateText(prompt, { feature = prompt.ref.id } = {}) {
+  const logFailures = (attempts) => attempts.filter(a => !a.skipped)
+    .forEach(a => console.warn(`⚠️ LLM ${a.provider}:${a.model} failed for ${feature}: ${a.error}`));
+  
+  let result;
+  try {
+    result = await runLlmChain(llmChainFor(feature), prompt.text, {
+      feature, resolveProvider: resolveLlmProvider, adapters: LLM_ADAPTERS, stats: llmStats
+    });
+  } catch (e) {
+    logFailures(e.attempts || []);
+    throw e;
+  }
+  
+  logFailures(result.attempts);
+  const failures = result.attempts.filter(a => !a.skipped).length;
+  if (failures > 0) {
+    llmFallbackCount++;
+    console.log(`🔁 ${feature} answered by fallback ${result.provider}:${result.model} after ${failures} failure(s)`);
+  }
+  return result;
+}
+
+// ============================================================================
+// PROMPT REGISTRY - versioned templates for every AI feature
+// ============================================================================
+// prompts/prompts.json lists each prompt id with its active version and the variables
+// it takes; templates live in prompts/<id>/v<N>.txt with {{name}} placeholders.
+// The directory is watched, so a prompt can be tuned or rolled back without a redeploy.
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const PROMPT_MANIFEST_FILE = 'prompts.json';
+
+let promptRegistry = {};
+
+// Read manifest + templates and swap them in. Throws (keeping the old registry) if invalid.
+function loadPromptRegistry() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, PROMPT_MANIFEST_FILE), 'utf8'));
+  const registry = {};
+  const errors = [];
+  
+  for (const [id, spec] of Object.entries(manifest)) {
+    const dir = path.join(PROMPTS_DIR, id);
+    const versions = {};
+    if (fs.existsSync(dir)) {
+      for (const file of fs.readdirSync(dir)) {
+        const match = file.match(/^v(\d+)\.txt$/);
+        if (match) versions[match[1]] = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\n$/, '');
+      }
+    }
+    
+    const variables = Array.isArray(spec.variables) ? spec.variables : [];
+    if (!isPositiveInt(spec.active) || versions[spec.active] === undefined) {
+      errors.push(`${id}: active version v${spec.active} has no template file`);
+    }
+    for (const [version, template] of Object.entries(versions)) {
+      const undeclared = [...new Set([...template.matchAll(PROMPT_PLACEHOLDER)].map(m => m[1]))]
+        .filter(name => !variables.includes(name));
+      if (undeclared.length > 0) errors.push(`${id}/v${version}: undeclared variables ${undeclared.join(', ')}`);
+    }
+    
+    registry[id] = { id, description: spec.description || '', active: spec.active, variables, versions };
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompt registry:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  promptRegistry = registry;
+  console.log(`🧾 Prompt registry: ${Object.keys(registry).length} prompts loaded`);
+}
+
+// Hot reload - same debounce as the game catalogue watcher
+function watchPromptRegistry() {
+  let reloadTimer = null;
+  
+  try {
+    fs.watch(PROMPTS_DIR, { recursive: true }, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        try {
+          loadPromptRegistry();
+        } catch (e) {
+          console.error('🧾 Prompt registry reload rejected:', e.message);
+        }
+      }, 500);
+    });
+    console.log(`🧾 Watching ${path.basename(PROMPTS_DIR)}/ for prompt changes`);
+  } catch (e) {
+    console.error('🧾 Could not watch prompt registry:', e.message);
+  }
+}
+
+// Fill a prompt template (lib/prompts.js). Returns { text, ref } - ref ({ id, version }) is
+// stored with the AI output.
+function renderPrompt(id, vars = {}, { version } = {}) {
+  const spec = promptRegistry[id];
+  if (!spec) throw new Error(`Unknown prompt: ${id}`);
+  return fillPrompt(spec, vars, version);
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -81,6 +881,8 @@ const CONFIG = {
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || '',
   ALPACA_API_KEY: process.env.ALPACA_API_KEY || '',
   ALPACA_API_SECRET: process.env.ALPACA_API_SECRET || '',
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+  ESCALATION_ALERT_LEVEL: parseInt(process.env.ESCALATION_ALERT_LEVEL) || 4, // escalation_alert fires crossing this rung
   PORT: process.env.PORT || 5000
 };
 
@@ -105,42 +907,220 @@ let cachedPredictionData = {
   sentiment: null
 };
 
+// ============================================================================
+// HEADLINE MATCHER - Headline-to-game matching
+// ============================================================================
+// Scoring is in lib/headline-matcher.js (word-boundary terms, aliases, weights,
+// exclusions, negation). Per-game tuning, game.matching, is validated here for the
+// catalogue and the CRUD routes.
+
+function isValidMatchingConfig(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return false;
+  const isMap = (m) => m === undefined || (m && typeof m === 'object' && !Array.isArray(m));
+  if (!isMap(v.aliases) || !isMap(v.weights)) return false;
+  
+  return Object.values(v.aliases || {}).every(list => isStringList(list, 1, 20)) &&
+    (v.exclusions === undefined || isStringList(v.exclusions, 0, 50)) &&
+    Object.values(v.weights || {}).every(w => Number.isFinite(w) && w >= 0 && w <= 5) &&
+    (v.minScore === undefined || (Number.isFinite(v.minScore) && v.minScore > 0 && v.minScore <= 10));
+}
+
+// ============================================================================
+// GAZETTEER - Offline place-name geocoding
+// ============================================================================
+// gazetteer.json lists countries (ISO 3166-1 alpha-3 + alpha-2) and places - capitals,
+// cities, chokepoints and regions - with lat/lon and aliases. Names match on word
+// boundaries like game keywords; acronyms (US, UK, UAE) match case-sensitively so
+// "us" the pronoun doesn't land on Washington.
+
+const GAZETTEER_FILE = process.env.GAZETTEER_FILE || path.join(__dirname, 'gazetteer.json');
+const GAZETTEER_PLACE_TYPES = ['chokepoint', 'city', 'capital', 'region']; // most specific first
+
+let gazetteerTerms = [];     // [{ term, regex, entry }], longest term first; regexes are global
+let gazetteerCountries = {}; // iso3 -> country
+
+// Read and index gazetteer.json. Throws if the file is missing or invalid.
+function loadGazetteer() {
+  const raw = JSON.parse(fs.readFileSync(GAZETTEER_FILE, 'utf8'));
+  const isCoord = (lat, lon) => Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  const errors = [];
+  const countries = {};
+  
+  for (const c of raw.countries || []) {
+    if (!/^[A-Z]{3}$/.test(c.iso3) || !/^[A-Z]{2}$/.test(c.iso2)) errors.push(`${c.name}: iso3/iso2 must be 3/2 capital letters`);
+    if (!isCoord(c.lat, c.lon)) errors.push(`${c.name}: invalid lat/lon`);
+    countries[c.iso3] = c;
+  }
+  for (const p of raw.places || []) {
+    if (!GAZETTEER_PLACE_TYPES.includes(p.type)) errors.push(`${p.name}: type must be one of ${GAZETTEER_PLACE_TYPES.join(', ')}`);
+    if (p.country !== null && !countries[p.country]) errors.push(`${p.name}: unknown country ${p.country}`);
+    if (!isCoord(p.lat, p.lon)) errors.push(`${p.name}: invalid lat/lon`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid gazetteer:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  const terms = [];
+  const index = (entry, names, acronyms = []) => {
+    // Own global copies - termRegex's cached ones are shared with the keyword matcher
+    names.forEach(term => terms.push({ term, regex: new RegExp(termRegex(term).source, 'gi'), entry }));
+    acronyms.forEach(term => terms.push({ term, regex: new RegExp(`(?<![A-Za-z0-9])${term}(?![A-Za-z0-9])`, 'g'), entry }));
+  };
+  Object.values(countries).forEach(c => index(
+    { name: c.name, type: 'country', iso3: c.iso3, lat: c.lat, lon: c.lon },
+    [c.name, ...(c.aliases || [])],
+    c.acronyms
+  ));
+  (raw.places || []).forEach(p => index(
+    { name: p.name, type: p.type, iso3: p.country, lat: p.lat, lon: p.lon },
+    [p.name, ...(p.aliases || [])],
+    p.acronyms
+  ));
+  
+  gazetteerTerms = terms.sort((a, b) => b.term.length - a.term.length);
+  gazetteerCountries = countries;
+  gameGeoCache.clear();
+  console.log(`🌍 Gazetteer: ${Object.keys(countries).length} countries, ${(raw.places || []).length} places`);
+}
+
+// Places named in a text, in order of mention. location is the most specific place
+// (chokepoint > city > capital > region > country) in the { lat, lon, city } shape the globe uses.
+function geocodeText(text) {
+  const spans = [];
+  const found = [];
+  for (const { regex, entry } of gazetteerTerms) {
+    // Every occurrence - "China" in "South China Sea" is claimed, a later standalone "China" is not
+    for (const m of (text || '').matchAll(regex)) {
+      // Longest names claim their span first - "America" inside "Latin America" is skipped
+      const start = m.index;
+      const end = m.index + m[0].length;
+      if (spans.some(([s, e]) => start < e && end > s)) continue;
+      spans.push([start, end]);
+      const seen = found.find(f => f.entry === entry);
+      if (!seen) found.push({ entry, at: start });
+      else seen.at = Math.min(seen.at, start);
+    }
+  }
+  
+  const places = found.sort((a, b) => a.at - b.at).map(f => f.entry);
+  const countries = [...new Set(places.map(p => p.iso3).filter(Boolean))];
+  const rank = (type) => type === 'country' ? GAZETTEER_PLACE_TYPES.length : GAZETTEER_PLACE_TYPES.indexOf(type);
+  const primary = [...places].sort((a, b) => rank(a.type) - rank(b.type))[0];
+  
+  return {
+    places,
+    countries,
+    iso2: countries.map(iso3 => gazetteerCountries[iso3].iso2),
+    location: primary ? { lat: primary.lat, lon: primary.lon, city: primary.name, iso3: primary.iso3 } : null
+  };
+}
+
+// Great-circle distance in km
+function haversineKm(a, b) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Geo for a game from its title, players and keywords; proxies are already alpha-3 codes.
+// A location the AI or an analyst set wins over the gazetteer's pick.
+const gameGeoCache = new Map();
+
+function withGeo(game) {
+  const key = JSON.stringify([game.title, game.players, game.keywords, game.proxies]);
+  let geo = gameGeoCache.get(key);
+  if (!geo) {
+    const found = geocodeText([game.title, ...(game.players || []), ...(game.keywords || [])].join(' | '));
+    const proxies = (game.proxies || []).filter(code => gazetteerCountries[code]);
+    const countries = [...new Set([...found.countries, ...proxies])];
+    const fallback = proxies[0] && gazetteerCountries[proxies[0]];
+    geo = {
+      countries,
+      iso2: countries.map(iso3 => gazetteerCountries[iso3].iso2),
+      places: found.places.map(p => p.name),
+      location: found.location || (fallback ? { lat: fallback.lat, lon: fallback.lon, city: fallback.name, iso3: fallback.iso3 } : null)
+    };
+    if (gameGeoCache.size > 500) gameGeoCache.clear();
+    gameGeoCache.set(key, geo);
+  }
+  
+  const { location, ...rest } = geo;
+  const hasLocation = Number.isFinite(game.location?.lat) && Number.isFinite(game.location?.lon) &&
+    (game.location.lat !== 0 || game.location.lon !== 0);
+  return { ...game, geo: rest, location: hasLocation ? game.location : location };
+}
+
+// Compact geo for cards and orphan headlines
+function cardGeo(headline) {
+  const { places, countries, iso2, location } = geocodeText(headline);
+  return { countries, iso2, places: places.map(p => p.name), location };
+}
+
+function gamesWithGeo(board) {
+  return Object.fromEntries(Object.entries(board).map(([id, game]) => [id, withGeo(game)]));
+}
+
 // ============================================================================
 // EMERGING CONFLICT DETECTION ENGINE
 // ============================================================================
 
 // Buffer for orphan headlines (don't match any existing conflict)
 const orphanHeadlineBuffer = [];
-const MAX_ORPHAN_BUFFER = 100;
 
 // Queue of proposed emerging conflicts awaiting approval
 let emergingConflictQueue = [];
-const MAX_EMERGING_QUEUE = 5;
 
-// Daily proposal limit to avoid spam
+// Daily proposal count (reset at midnight) checked against limits.maxDailyProposals
 let dailyProposalCount = 0;
-const MAX_DAILY_PROPOSALS = 10;
 
-// Get all keywords from active games
-function getAllConflictKeywords() {
-  const allKeywords = [];
-  Object.values(activeGames).forEach(game => {
-    if (game.keywords) {
-      allKeywords.push(...game.keywords);
-    }
-  });
-  return allKeywords;
-}
+// Volume limits and scan schedule - adjustable at runtime through /api/config/emerging
+//   maxQueue             - proposals waiting on an analyst before new clusters are skipped
+//   maxDailyProposals    - AI proposals per day, emerging clusters and compound stress together
+//   maxOrphanBuffer      - unmatched headlines kept for clustering
+//   confidenceCutoff     - model confidence a proposal must exceed to be queued
+//   scanIntervalMinutes  - how often orphan clusters are scanned (cron minute step, divides 60)
+const EMERGING_LIMITS = {
+  maxQueue: 5,
+  maxDailyProposals: 10,
+  maxOrphanBuffer: 100,
+  confidenceCutoff: 0.6
+};
+const EMERGING_SCHEDULE = {
+  scanIntervalMinutes: 15
+};
+
+// Per-day proposal usage, keyed by local date (matches the midnight reset of the daily cap)
+let emergingUsage = {};
+const EMERGING_USAGE_DAYS = 30;
+const EMERGING_USAGE_KINDS = ['generated', 'accepted', 'dismissed', 'merged', 'snoozed', 'expired'];
+
+// Proposal lifecycle
+//   ttlHours             - a proposal nobody acts on expires this long after it was queued (or woke)
+//   defaultSnoozeHours   - snooze length when the analyst doesn't give one
+//   dismissalMemoryDays  - how long a dismissal blocks the same cluster from being re-proposed
+//   fingerprintOverlap   - share of fingerprint stems a cluster must repeat to count as the same
+const PROPOSAL_LIFECYCLE_CONFIG = {
+  ttlHours: 24,
+  defaultSnoozeHours: 6,
+  dismissalMemoryDays: 7,
+  fingerprintOverlap: 0.6
+};
+const FINGERPRINT_STEMS = 10;
+const MAX_MERGED_PROPOSALS = 10;
 
-// Check if a headline matches any existing conflict
+// Snoozed proposals (out of the queue until snoozedUntil) and dismissal fingerprints
+let snoozedProposals = [];
+let dismissedFingerprints = [];
+
+// Check if a headline matches any existing conflict - returns the best match or null
 function matchesExistingConflict(headline) {
-  const text = headline.toLowerCase();
-  const keywords = getAllConflictKeywords();
-  return keywords.some(kw => text.includes(kw.toLowerCase()));
+  return bestGameMatch(activeGames, headline);
 }
 
 // Add headline to orphan buffer if it doesn't match existing conflicts
-function checkOrphanHeadline(headline, source, timestamp) {
+function checkOrphanHeadline(headline, source, timestamp, snippet) {
   if (matchesExistingConflict(headline)) return false;
   
   // Check if it's a potential strategic/geopolitical headline
@@ -150,114 +1130,92 @@ function checkOrphanHeadline(headline, source, timestamp) {
   orphanHeadlineBuffer.push({
     headline,
     source,
+    snippet: (snippet || '').substring(0, 300),
+    geo: cardGeo(headline),
     timestamp: timestamp || Date.now(),
     id: `orphan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   });
   
-  // Trim buffer
-  while (orphanHeadlineBuffer.length > MAX_ORPHAN_BUFFER) {
+  trimOrphanBuffer();
+  return true;
+}
+
+function trimOrphanBuffer() {
+  while (orphanHeadlineBuffer.length > EMERGING_LIMITS.maxOrphanBuffer) {
     orphanHeadlineBuffer.shift();
   }
-  
-  return true;
 }
 
-// Cluster similar orphan headlines
+// Orphan clustering (TF-IDF over headline + snippet, cosine to a running centroid)
+//   windowHours         - how far back orphans are clustered
+//   similarityThreshold - cosine to a cluster centroid needed to join it (0-1)
+//   snippetWeight       - term weight of snippet words relative to headline words
+//   minHeadlines        - headlines a cluster needs before it is sent for analysis
+//   minSources          - distinct sources a cluster needs
+//   centroidKeywords    - keywords reported per cluster
+//   geoWeight           - how far shared geography moves the text score (0 = ignore places)
+//   geoRadiusKm         - places closer than this count as the same neighbourhood
+const ORPHAN_CLUSTER_CONFIG = {
+  windowHours: 4,
+  similarityThreshold: 0.25,
+  snippetWeight: 0.5,
+  minHeadlines: 3,
+  minSources: 2,
+  centroidKeywords: 6,
+  geoWeight: 0.3,
+  geoRadiusKm: 1500
+};
+
+// Cluster the orphans inside the window. The buffer and the gazetteer lookups are fed
+// to the TF-IDF clusterer in lib/orphan-clustering.js.
 function clusterOrphanHeadlines() {
-  const clusters = [];
-  const used = new Set();
-  const recentCutoff = Date.now() - (4 * 60 * 60 * 1000); // Last 4 hours
-  
+  const cfg = ORPHAN_CLUSTER_CONFIG;
+  const recentCutoff = Date.now() - cfg.windowHours * 60 * 60 * 1000;
   const recentOrphans = orphanHeadlineBuffer.filter(o => o.timestamp > recentCutoff);
-  
-  for (const orphan of recentOrphans) {
-    if (used.has(orphan.id)) continue;
-    
-    // Find similar headlines
-    const cluster = [orphan];
-    const words = new Set(orphan.headline.toLowerCase().split(/\s+/).filter(w => w.length > 4));
-    
-    for (const other of recentOrphans) {
-      if (other.id === orphan.id || used.has(other.id)) continue;
-      
-      const otherWords = new Set(other.headline.toLowerCase().split(/\s+/).filter(w => w.length > 4));
-      const overlap = [...words].filter(w => otherWords.has(w)).length;
-      
-      if (overlap >= 2) {
-        cluster.push(other);
-        used.add(other.id);
-      }
-    }
-    
-    used.add(orphan.id);
-    
-    // Require 3+ headlines from 2+ different sources
-    const uniqueSources = new Set(cluster.map(c => c.source)).size;
-    if (cluster.length >= 3 && uniqueSources >= 2) {
-      clusters.push(cluster);
-    }
-  }
-  
-  return clusters;
+  return clusterHeadlines(recentOrphans, cfg, {
+    geoOf: orphan => orphan.geo || cardGeo(orphan.headline),
+    distanceKm: haversineKm
+  });
+}
+
+// Unexpired dismissal that covers these headlines, if any
+function findDismissedFingerprint(headlines) {
+  const stems = headlineFingerprint(headlines, FINGERPRINT_STEMS);
+  const now = Date.now();
+  return dismissedFingerprints.find(f => f.expiresAt > now &&
+    fingerprintOverlap(f.stems, stems) >= PROPOSAL_LIFECYCLE_CONFIG.fingerprintOverlap) || null;
 }
 
 // Analyze a cluster with Gemini to determine if it's an emerging conflict
 async function analyzeEmergingConflict(cluster) {
-  if (dailyProposalCount >= MAX_DAILY_PROPOSALS) {
+  if (dailyProposalCount >= EMERGING_LIMITS.maxDailyProposals) {
     console.log('📊 Daily proposal limit reached');
     return null;
   }
   
-  const headlines = cluster.map(c => `- ${c.headline} (${c.source})`).join('\n');
+  const headlines = cluster.members.map(c => `- ${c.headline} (${c.source})`).join('\n');
   
-  const prompt = `Analyze these related news headlines and determine if they represent an emerging strategic conflict or geopolitical situation that traders should track:
-
-${headlines}
-
-If this represents a genuine emerging conflict (NOT routine news), respond in JSON:
-{
-  "isConflict": true,
-  "confidence": 0.0-1.0,
-  "title": "Short conflict title (max 25 chars)",
-  "emoji": "Single emoji representing the conflict",
-  "players": ["Player 1", "Player 2"],
-  "currentPhase": "ESCALATION|STANDOFF|BRINKMANSHIP|POSTURING|COORDINATION",
-  "keywords": ["keyword1", "keyword2", "keyword3"],
-  "summary": "One sentence summary",
-  "location": {"lat": 0.0, "lon": 0.0, "city": "Key city name"},
-  "proxies": ["USA", "CHN"],
-  "resource": "One of: CHIPS, OIL, GAS, SHIPPING, RARE EARTHS, WHEAT, URANIUM, WATER, TRADE ROUTES, TERRITORY, INFLUENCE, RATES, NUCLEAR, RESERVE CURRENCY, RED SEA ACCESS, or NONE",
-  "escalationLevel": 1
-}
-
-PROXY DECODER GUIDANCE:
-- proxies: The great power sponsors behind this conflict (2-3 letter codes: USA, CHN, RUS, IRN, SAU, UAE, TUR, ISR, FRA, GBR, IND, PAK, EU, G7, PRK, PHL, DNK, CAN, PAN, etc.)
-- resource: The strategic prize at stake - use standardized values like CHIPS, OIL, GAS, SHIPPING, TERRITORY, RATES, NUCLEAR, INFLUENCE, etc.
-- escalationLevel: 1=Rhetoric, 2=Hybrid/Cyber, 3=Proxy Kinetic, 4=Direct State, 5=Systemic War
-
-If this is NOT a genuine conflict (routine news, single incident, not strategic), respond:
-{"isConflict": false, "reason": "brief explanation"}
-
-Respond ONLY with valid JSON.`;
+  const prompt = renderPrompt('emerging_conflict', { headlines, keywords: cluster.keywords.join(', ') });
 
   try {
-    const response = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
-    
-    const rawText = response.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const text = rawText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const result = JSON.parse(text);
+    const response = await generateStructured(prompt);
+    const result = response.data;
     
-    if (result.isConflict && result.confidence > 0.6) {
+    if (result.isConflict && result.confidence > EMERGING_LIMITS.confidenceCutoff) {
       dailyProposalCount++;
       return {
         id: `emerging_${Date.now()}`,
         ...result,
-        headlines: cluster.map(c => c.headline),
-        sources: [...new Set(cluster.map(c => c.source))],
-        proposedAt: Date.now()
+        headlines: cluster.members.map(c => c.headline),
+        sources: [...new Set(cluster.members.map(c => c.source))],
+        clusterKeywords: cluster.keywords,
+        clusterCohesion: cluster.cohesion,
+        countries: cluster.geo.countries,
+        // The model's coordinates are often a 0,0 placeholder - the gazetteer fills in
+        location: result.location?.lat || result.location?.lon ? result.location : (cluster.geo.location || result.location),
+        proposedAt: Date.now(),
+        prompt: prompt.ref,
+        model: `${response.provider}:${response.model}`
       };
     }
     
@@ -270,16 +1228,16 @@ Respond ONLY with valid JSON.`;
 
 // Process orphan clusters and generate proposals
 async function processEmergingConflicts() {
-  if (emergingConflictQueue.length >= MAX_EMERGING_QUEUE) return;
+  if (emergingConflictQueue.length >= EMERGING_LIMITS.maxQueue) return;
   
   const clusters = clusterOrphanHeadlines();
   
   for (const cluster of clusters) {
-    if (emergingConflictQueue.length >= MAX_EMERGING_QUEUE) break;
+    if (emergingConflictQueue.length >= EMERGING_LIMITS.maxQueue) break;
     
     // Check if already proposed something similar
-    const clusterText = cluster.map(c => c.headline).join(' ').toLowerCase();
-    const isDuplicate = emergingConflictQueue.some(eq => {
+    const clusterText = cluster.members.map(c => c.headline).join(' ').toLowerCase();
+    const isDuplicate = [...emergingConflictQueue, ...snoozedProposals].some(eq => {
       const eqText = eq.headlines.join(' ').toLowerCase();
       const overlap = clusterText.split(' ').filter(w => eqText.includes(w)).length;
       return overlap > 10;
@@ -287,9 +1245,17 @@ async function processEmergingConflicts() {
     
     if (isDuplicate) continue;
     
+    const dismissal = findDismissedFingerprint(cluster.members.map(c => c.headline));
+    if (dismissal) {
+      console.log(`🔕 Cluster matches dismissed proposal "${dismissal.title}" - not re-proposing`);
+      continue;
+    }
+    
     const proposal = await analyzeEmergingConflict(cluster);
     if (proposal) {
       emergingConflictQueue.push(proposal);
+      recordEvent('proposal_added', { proposal });
+      countEmergingUsage('generated');
       console.log(`🔔 New emerging conflict proposed: ${proposal.title}`);
       
       // Broadcast to clients
@@ -338,6 +1304,20 @@ function acceptEmergingConflict(proposalId) {
   
   // Remove from queue
   emergingConflictQueue.splice(idx, 1);
+  recordEvent('proposal_accepted', { proposalId, gameId, game: activeGames[gameId] });
+  countEmergingUsage('accepted');
+  
+  recordGameMove(gameId, {
+    ...activeGames[gameId].lastMove,
+    source: 'PROPOSAL',
+    phaseBefore: null,
+    phaseAfter: activeGames[gameId].currentPhase,
+    escalationBefore: null,
+    escalationAfter: activeGames[gameId].escalationLevel,
+    headlines: proposal.headlines || [],
+    blueVerdict: null,
+    redVerdict: null
+  });
   
   console.log(`✅ Emerging conflict accepted: ${proposal.title}`);
   
@@ -352,11 +1332,22 @@ function acceptEmergingConflict(proposalId) {
 }
 
 // Dismiss an emerging conflict proposal
-function dismissEmergingConflict(proposalId) {
+// The fingerprint stops the same cluster being re-proposed for rememberDays (0 = no memory)
+function dismissEmergingConflict(proposalId, rememberDays = PROPOSAL_LIFECYCLE_CONFIG.dismissalMemoryDays) {
   const idx = emergingConflictQueue.findIndex(p => p.id === proposalId);
   if (idx === -1) return false;
   
-  emergingConflictQueue.splice(idx, 1);
+  const [proposal] = emergingConflictQueue.splice(idx, 1);
+  const fingerprint = rememberDays > 0 && (proposal.headlines || []).length > 0 ? {
+    proposalId,
+    title: proposal.title,
+    stems: headlineFingerprint(proposal.headlines, FINGERPRINT_STEMS),
+    dismissedAt: Date.now(),
+    expiresAt: Date.now() + rememberDays * 24 * 60 * 60 * 1000
+  } : null;
+  if (fingerprint) dismissedFingerprints.push(fingerprint);
+  recordEvent('proposal_dismissed', { proposalId, fingerprint });
+  countEmergingUsage('dismissed');
   console.log(`❌ Emerging conflict dismissed: ${proposalId}`);
   
   broadcast({
@@ -367,834 +1358,1427 @@ function dismissEmergingConflict(proposalId) {
   return true;
 }
 
+// Snooze a proposal out of the queue until it is due back (frees a queue slot meanwhile)
+function snoozeEmergingConflict(proposalId, hours) {
+  const idx = emergingConflictQueue.findIndex(p => p.id === proposalId);
+  if (idx === -1) return null;
+  
+  const snoozedUntil = Date.now() + hours * 60 * 60 * 1000;
+  const [proposal] = emergingConflictQueue.splice(idx, 1);
+  snoozedProposals.push({ ...proposal, snoozedUntil });
+  recordEvent('proposal_snoozed', { proposalId, snoozedUntil });
+  countEmergingUsage('snoozed');
+  console.log(`😴 Emerging conflict snoozed for ${hours}h: ${proposal.title}`);
+  
+  broadcast({
+    type: 'emerging_conflict_update',
+    data: { queue: emergingConflictQueue }
+  });
+  
+  return snoozedUntil;
+}
+
+// Fold a proposal into an existing game: keywords join the game's list, headlines are kept
+// on the game under mergedProposals
+function mergeEmergingConflict(proposalId, gameId) {
+  const idx = emergingConflictQueue.findIndex(p => p.id === proposalId);
+  if (idx === -1) return { status: 404, error: 'Proposal not found' };
+  const game = activeGames[gameId];
+  if (!game) return { status: 404, error: 'Active game not found' };
+  
+  const proposal = emergingConflictQueue[idx];
+  const keywords = [...new Set([...game.keywords, ...(proposal.keywords || []).map(k => k.trim().toLowerCase())])]
+    .filter(Boolean)
+    .slice(0, 50);
+  const merged = {
+    proposalId,
+    title: proposal.title,
+    headlines: proposal.headlines || [],
+    keywords: proposal.keywords || [],
+    mergedAt: new Date().toISOString()
+  };
+  
+  emergingConflictQueue.splice(idx, 1);
+  recordEvent('proposal_merged', { proposalId, gameId });
+  countEmergingUsage('merged');
+  const committed = commitAnalystGameEdit(gameId, game, {
+    ...game,
+    keywords,
+    mergedProposals: [...(game.mergedProposals || []), merged].slice(-MAX_MERGED_PROPOSALS),
+    lastEditedAt: merged.mergedAt
+  });
+  console.log(`🔗 Emerging conflict merged: ${proposal.title} → ${game.title}`);
+  
+  broadcast({
+    type: 'emerging_conflict_update',
+    data: { queue: emergingConflictQueue }
+  });
+  
+  return { game: committed, addedKeywords: keywords.filter(k => !game.keywords.includes(k)) };
+}
+
+// Stale proposals expire; snoozed ones come back when due (and there's room)
+// Proposals from older snapshots or imports can lack proposedAt - the id carries the
+// creation time (emerging_<ms>, compound_<ms>)
+function proposalCreatedAt(proposal) {
+  return proposal.proposedAt || parseInt(String(proposal.id).split('_')[1]) || null;
+}
+
+function sweepEmergingProposals() {
+  const now = Date.now();
+  const ttl = PROPOSAL_LIFECYCLE_CONFIG.ttlHours * 60 * 60 * 1000;
+  let changed = false;
+  
+  for (const proposal of [...emergingConflictQueue]) {
+    const since = proposal.wokenAt || proposalCreatedAt(proposal);
+    // No usable timestamp at all - start the clock now rather than never expiring
+    if (!since) proposal.proposedAt = now;
+    if (!since || now - since < ttl) continue;
+    emergingConflictQueue = emergingConflictQueue.filter(p => p.id !== proposal.id);
+    recordEvent('proposal_expired', { proposalId: proposal.id });
+    countEmergingUsage('expired');
+    console.log(`⌛ Emerging conflict expired: ${proposal.title}`);
+    changed = true;
+  }
+  
+  for (const proposal of [...snoozedProposals]) {
+    if (proposal.snoozedUntil > now || emergingConflictQueue.length >= EMERGING_LIMITS.maxQueue) continue;
+    const { snoozedUntil, ...rest } = proposal;
+    snoozedProposals = snoozedProposals.filter(p => p.id !== proposal.id);
+    emergingConflictQueue.push({ ...rest, wokenAt: now });
+    recordEvent('proposal_woken', { proposalId: proposal.id, wokenAt: now });
+    console.log(`⏰ Emerging conflict back from snooze: ${proposal.title}`);
+    changed = true;
+  }
+  
+  dismissedFingerprints = dismissedFingerprints.filter(f => f.expiresAt > now);
+  
+  if (changed) {
+    broadcast({
+      type: 'emerging_conflict_update',
+      data: { queue: emergingConflictQueue }
+    });
+  }
+}
+
 // Reset daily proposal count at midnight
 cron.schedule('0 0 * * *', () => {
   dailyProposalCount = 0;
   console.log('🔄 Daily emerging conflict proposal count reset');
 });
 
-// Process emerging conflicts every 15 minutes
-cron.schedule('*/15 * * * *', async () => {
-  await processEmergingConflicts();
-  
-  // Also check for re-emergence of archived conflicts
-  const recentHeadlines = orphanHeadlineBuffer
-    .filter(o => o.timestamp > Date.now() - 60 * 60 * 1000) // Last hour
-    .map(o => o.headline);
-  checkForReemergence(recentHeadlines);
-});
+// Process emerging conflicts every scanIntervalMinutes (rescheduled when the setting changes)
+let emergingScanTask = null;
+
+function scheduleEmergingScan() {
+  if (emergingScanTask) emergingScanTask.stop();
+  const step = EMERGING_SCHEDULE.scanIntervalMinutes;
+  emergingScanTask = cron.schedule(step === 60 ? '0 * * * *' : `*/${step} * * * *`, async () => {
+    sweepEmergingProposals();
+    await processEmergingConflicts();
+    
+    // Also check for re-emergence of archived conflicts
+    const recentHeadlines = orphanHeadlineBuffer
+      .filter(o => o.timestamp > Date.now() - 60 * 60 * 1000); // Last hour
+    checkForReemergence(recentHeadlines);
+  });
+}
+
+scheduleEmergingScan();
 
 // ============================================================================
-// GAME THEORY ENGINE - Active Games Tracker
+// EMERGING CONFLICT RUNTIME CONFIG & USAGE
 // ============================================================================
 
-let activeGames = {
-  "chip_war": {
-    id: "chip_war",
-    title: "US-China Tech War",
-    emoji: "🔬",
-    players: ["US Commerce Dept", "Beijing/CCP"],
-    currentPhase: "STANDOFF",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "US",
-      action: "New export controls on AI chips to China",
-      type: "DEFECT",
-      date: "2026-01-10"
-    },
-    equilibriumStatus: "COLD WAR",
-    statusColor: "yellow",
-    nextLikelyMove: "China restricts rare earth exports or retaliates on US firms",
-    keywords: ["chip", "semiconductor", "nvidia", "export control", "huawei", "smic", "asml", "rare earth"],
-    proxies: ["USA", "CHN"],
-    resource: "CHIPS",
-    escalationLevel: 2
-  },
-  "hormuz_standoff": {
-    id: "hormuz_standoff",
-    title: "Strait of Hormuz",
-    emoji: "⛽",
-    players: ["Iran/Proxies", "US Navy/Allies"],
-    currentPhase: "BRINKMANSHIP",
-    phaseColor: "red",
-    lastMove: {
-      player: "Iran",
-      action: "Harassment of commercial tankers",
-      type: "DEFECT",
-      date: "2026-01-08"
-    },
-    equilibriumStatus: "CRITICAL",
-    statusColor: "red",
-    nextLikelyMove: "US Naval convoy escorts or sanctions tightening",
-    keywords: ["hormuz", "iran", "tanker", "gulf", "naval", "strait", "persian"],
-    proxies: ["IRN", "USA"],
-    resource: "OIL",
-    escalationLevel: 3
-  },
-  "fed_vs_markets": {
-    id: "fed_vs_markets",
-    title: "Fed vs Markets",
-    emoji: "🏦",
-    players: ["Federal Reserve", "Bond Market/Equities"],
-    currentPhase: "STANDOFF",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "Fed",
-      action: "Hawkish hold, pushback on rate cut expectations",
-      type: "SIGNAL",
-      date: "2026-01-09"
-    },
-    equilibriumStatus: "SHIFTING",
-    statusColor: "yellow",
-    nextLikelyMove: "Markets test Fed resolve with rally or yields repricing",
-    keywords: ["fed", "powell", "fomc", "rate cut", "inflation", "cpi", "dot plot"],
-    proxies: ["USA"],
-    resource: "RATES",
-    escalationLevel: 1
-  },
-  "opec_price_war": {
-    id: "opec_price_war",
-    title: "OPEC+ vs Shale",
-    emoji: "🛢️",
-    players: ["OPEC+ (Saudi/Russia)", "US Shale Producers"],
-    currentPhase: "COORDINATION",
-    phaseColor: "green",
-    lastMove: {
-      player: "OPEC+",
-      action: "Extended production cuts through Q1",
-      type: "COOPERATE",
-      date: "2026-01-05"
-    },
-    equilibriumStatus: "STABLE",
-    statusColor: "green",
-    nextLikelyMove: "Hold pattern unless demand shock or shale ramp-up",
-    keywords: ["opec", "saudi", "oil production", "oil cut", "shale", "drilling"],
-    proxies: ["SAU", "RUS", "USA"],
-    resource: "OIL",
-    escalationLevel: 1
-  },
-  "taiwan_strait": {
-    id: "taiwan_strait",
-    title: "Taiwan Strait",
-    emoji: "🇹🇼",
-    players: ["PLA/Beijing", "Taiwan/US Alliance"],
-    currentPhase: "POSTURING",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "PLA",
-      action: "Large-scale military drills near Taiwan",
-      type: "SIGNAL",
-      date: "2026-01-07"
-    },
-    equilibriumStatus: "TENSE",
-    statusColor: "yellow",
-    nextLikelyMove: "US Freedom of Navigation op or arms sale announcement",
-    keywords: ["taiwan", "china", "pla", "tsmc", "strait", "invasion", "blockade"],
-    proxies: ["CHN", "USA"],
-    resource: "CHIPS",
-    escalationLevel: 2
-  },
-  "russia_ukraine": {
-    id: "russia_ukraine",
-    title: "Russia-Ukraine War",
-    emoji: "⚔️",
-    players: ["Russia", "Ukraine/NATO"],
-    currentPhase: "CONFLICT",
-    phaseColor: "red",
-    lastMove: {
-      player: "Russia",
-      action: "Winter offensive push in Donbas",
-      type: "DEFECT",
-      date: "2026-01-11"
-    },
-    equilibriumStatus: "ACTIVE HOT WAR",
-    statusColor: "red",
-    nextLikelyMove: "Trump peace deal pressure or continued attrition",
-    keywords: ["ukraine", "russia", "donbas", "crimea", "nato", "zelensky", "putin", "sanctions"],
-    proxies: ["RUS", "USA", "EU"],
-    resource: "GAS",
-    escalationLevel: 4
-  },
-  "iran_israel": {
-    id: "iran_israel",
-    title: "Iran-Israel Shadow War",
-    emoji: "🎯",
-    players: ["Iran/Proxies (Hezbollah, Hamas)", "Israel/IDF"],
-    currentPhase: "BRINKMANSHIP",
-    phaseColor: "red",
-    lastMove: {
-      player: "Israel",
-      action: "Strikes on Iranian proxy positions in Syria",
-      type: "DEFECT",
-      date: "2026-01-10"
-    },
-    equilibriumStatus: "CRITICAL - Direct strikes exchanged",
-    statusColor: "red",
-    nextLikelyMove: "Iranian retaliation or nuclear program acceleration",
-    keywords: ["iran", "israel", "hezbollah", "hamas", "gaza", "beirut", "tehran", "idf", "mossad", "proxy", "missile", "strike"],
-    proxies: ["IRN", "ISR", "USA"],
-    resource: "TERRITORY",
-    escalationLevel: 4
-  },
-  "eu_energy_crisis": {
-    id: "eu_energy_crisis",
-    title: "EU Energy Security",
-    emoji: "🇪🇺",
-    players: ["EU/Germany", "Russia/Gazprom"],
-    currentPhase: "ADAPTATION",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "EU",
-      action: "LNG import diversification and storage mandates",
-      type: "COOPERATE",
-      date: "2026-01-08"
-    },
-    equilibriumStatus: "STABILIZING",
-    statusColor: "yellow",
-    nextLikelyMove: "Winter demand spike test or new pipeline disputes",
-    keywords: ["eu energy", "lng", "gazprom", "nord stream", "gas storage", "german", "energy crisis", "ttf", "european gas"],
-    proxies: ["EU", "RUS"],
-    resource: "GAS",
-    escalationLevel: 2
-  },
-  "ecb_inflation": {
-    id: "ecb_inflation",
-    title: "ECB vs Inflation",
-    emoji: "💶",
-    players: ["ECB/Lagarde", "Eurozone Bond Markets"],
-    currentPhase: "STANDOFF",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "ECB",
-      action: "Held rates, signaled data-dependency",
-      type: "SIGNAL",
-      date: "2026-01-09"
-    },
-    equilibriumStatus: "SHIFTING",
-    statusColor: "yellow",
-    nextLikelyMove: "Markets price rate cuts, ECB pushback on dovish expectations",
-    keywords: ["ecb", "lagarde", "eurozone", "eu inflation", "bund", "european rates", "euro rate"],
-    proxies: ["EU"],
-    resource: "RATES",
-    escalationLevel: 1
-  },
-  "us_tariff_war": {
-    id: "us_tariff_war",
-    title: "US Tariff War",
-    emoji: "🏛️",
-    players: ["US Trade Policy", "China/EU/World"],
-    currentPhase: "ESCALATION",
-    phaseColor: "red",
-    lastMove: {
-      player: "US",
-      action: "Liberation Day tariffs: 60%+ on China, 10-50% global",
-      type: "DEFECT",
-      date: "2026-01-10"
-    },
-    equilibriumStatus: "CRITICAL",
-    statusColor: "red",
-    nextLikelyMove: "Retaliatory tariffs from China/EU or negotiation pivot",
-    keywords: ["tariff", "trade war", "liberation day", "reciprocal", "import duty", "customs", "wto", "trade deal"],
-    proxies: ["USA", "CHN", "EU"],
-    resource: "TRADE ROUTES",
-    escalationLevel: 2
-  },
-  "india_pakistan": {
-    id: "india_pakistan",
-    title: "India-Pakistan Kashmir",
-    emoji: "☢️",
-    players: ["India/Modi", "Pakistan/ISI"],
-    currentPhase: "BRINKMANSHIP",
-    phaseColor: "red",
-    lastMove: {
-      player: "Pakistan-linked",
-      action: "Kashmir attack on Indian forces",
-      type: "DEFECT",
-      date: "2026-01-08"
-    },
-    equilibriumStatus: "CRITICAL",
-    statusColor: "red",
-    nextLikelyMove: "Indian surgical strike or diplomatic ultimatum",
-    keywords: ["india", "pakistan", "kashmir", "modi", "nuclear", "loc", "surgical strike", "islamabad", "delhi"],
-    proxies: ["IND", "PAK", "CHN"],
-    resource: "TERRITORY",
-    escalationLevel: 4
-  },
-  "sudan_civil_war": {
-    id: "sudan_civil_war",
-    title: "Sudan Civil War",
-    emoji: "🌍",
-    players: ["SAF (Military)", "RSF (Paramilitaries)"],
-    currentPhase: "CONFLICT",
-    phaseColor: "red",
-    lastMove: {
-      player: "RSF",
-      action: "Gold mining region seizure for war funding",
-      type: "DEFECT",
-      date: "2026-01-09"
-    },
-    equilibriumStatus: "UNSTABLE",
-    statusColor: "red",
-    nextLikelyMove: "SAF counteroffensive or external powers arm both sides",
-    keywords: ["sudan", "saf", "rsf", "khartoum", "darfur", "gold", "humanitarian", "africa conflict"],
-    proxies: ["UAE", "IRN"],
-    resource: "RED SEA ACCESS",
-    escalationLevel: 3
-  },
-  "north_korea_nuclear": {
-    id: "north_korea_nuclear",
-    title: "North Korea Nuclear",
-    emoji: "🚀",
-    players: ["DPRK/Kim Jong Un", "US/Japan/South Korea"],
-    currentPhase: "ESCALATION",
-    phaseColor: "red",
-    lastMove: {
-      player: "DPRK",
-      action: "ICBM test launch with new warhead design",
-      type: "DEFECT",
-      date: "2026-01-07"
-    },
-    equilibriumStatus: "CRITICAL",
-    statusColor: "red",
-    nextLikelyMove: "US-Japan-SK joint exercises or new sanctions package",
-    keywords: ["north korea", "dprk", "kim jong un", "icbm", "nuclear test", "pyongyang", "korean peninsula"],
-    proxies: ["PRK", "CHN", "USA"],
-    resource: "NUCLEAR",
-    escalationLevel: 3
-  },
-  "syria_power_vacuum": {
-    id: "syria_power_vacuum",
-    title: "Syria Power Vacuum",
-    emoji: "🏚️",
-    players: ["Turkey/Rebels", "Israel/Iran/Russia"],
-    currentPhase: "FRAGMENTATION",
-    phaseColor: "red",
-    lastMove: {
-      player: "Israel",
-      action: "Expanded buffer zone operations post-Assad",
-      type: "DEFECT",
-      date: "2026-01-11"
-    },
-    equilibriumStatus: "VOLATILE",
-    statusColor: "red",
-    nextLikelyMove: "Turkish-Kurdish clashes or Iran proxy repositioning",
-    keywords: ["syria", "assad", "damascus", "turkey", "kurds", "sdf", "hts", "aleppo", "idlib"],
-    proxies: ["TUR", "IRN", "RUS", "ISR"],
-    resource: "TERRITORY",
-    escalationLevel: 3
-  },
-  "russia_shadow_fleet": {
-    id: "russia_shadow_fleet",
-    title: "Russia Shadow Fleet",
-    emoji: "🚢",
-    players: ["Russia/Dark Fleet", "G7/Sanctions Coalition"],
-    currentPhase: "CAT AND MOUSE",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "G7",
-      action: "Sanctioned 183 vessels and lowered oil price cap",
-      type: "DEFECT",
-      date: "2026-01-10"
-    },
-    equilibriumStatus: "SHIFTING",
-    statusColor: "yellow",
-    nextLikelyMove: "Russia uses new intermediaries or insurance workarounds",
-    keywords: ["shadow fleet", "dark fleet", "tanker", "oil cap", "sanctions evasion", "maritime", "insurance", "ofac"],
-    proxies: ["RUS", "G7"],
-    resource: "OIL",
-    escalationLevel: 2
-  },
-  "brics_dedollarization": {
-    id: "brics_dedollarization",
-    title: "BRICS De-Dollarization",
-    emoji: "🪙",
-    players: ["BRICS+ (China/Russia/Saudi)", "US Dollar System"],
-    currentPhase: "COORDINATION",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "BRICS",
-      action: "Central bank gold purchases hit 900 tons in 2025",
-      type: "COOPERATE",
-      date: "2026-01-08"
-    },
-    equilibriumStatus: "SHIFTING",
-    statusColor: "yellow",
-    nextLikelyMove: "New bilateral currency swap deals or SWIFT alternative expansion",
-    keywords: ["brics", "dedollarization", "gold reserves", "yuan", "ruble", "petrodollar", "swift alternative", "reserve currency"],
-    proxies: ["CHN", "RUS", "SAU", "USA"],
-    resource: "RESERVE CURRENCY",
-    escalationLevel: 2
-  },
-  "arctic_resource_race": {
-    id: "arctic_resource_race",
-    title: "Arctic Resource Race",
-    emoji: "❄️",
-    players: ["Russia/China", "NATO/Arctic Council"],
-    currentPhase: "POSTURING",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "Russia",
-      action: "New military base on Northern Sea Route",
-      type: "DEFECT",
-      date: "2026-01-06"
-    },
-    equilibriumStatus: "TENSE",
-    statusColor: "yellow",
-    nextLikelyMove: "NATO Arctic exercise or territorial claim disputes",
-    keywords: ["arctic", "northern sea route", "greenland", "polar", "icebreaker", "svalbard", "arctic council"],
-    proxies: ["RUS", "CHN", "USA"],
-    resource: "SHIPPING",
-    escalationLevel: 2
-  },
-  "south_china_sea": {
-    id: "south_china_sea",
-    title: "South China Sea",
-    emoji: "🌊",
-    players: ["China/Coast Guard", "Philippines/US/ASEAN"],
-    currentPhase: "SKIRMISHING",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "China",
-      action: "Water cannon attacks on Philippine vessels",
-      type: "DEFECT",
-      date: "2026-01-09"
-    },
-    equilibriumStatus: "TENSE",
-    statusColor: "yellow",
-    nextLikelyMove: "US freedom of navigation patrol or new base construction",
-    keywords: ["south china sea", "spratly", "scarborough", "philippines", "nine dash", "coast guard", "reclamation"],
-    proxies: ["CHN", "USA", "PHL"],
-    resource: "SHIPPING",
-    escalationLevel: 2
-  },
-  "venezuela_crisis": {
-    id: "venezuela_crisis",
-    title: "Venezuela Crisis",
-    emoji: "🇻🇪",
-    players: ["Maduro Regime", "US/Opposition"],
-    currentPhase: "STANDOFF",
-    phaseColor: "yellow",
-    lastMove: {
-      player: "US",
-      action: "Threatened military intervention if election fraud continues",
-      type: "SIGNAL",
-      date: "2026-01-10"
-    },
-    equilibriumStatus: "UNSTABLE",
-    statusColor: "yellow",
-    nextLikelyMove: "Maduro seeks Russia/China backing or refugee exodus accelerates",
-    keywords: ["venezuela", "maduro", "caracas", "guaido", "pdvsa", "oil sanctions", "intervention"],
-    proxies: ["USA", "RUS", "CHN"],
-    resource: "OIL",
-    escalationLevel: 2
-  },
-  "monroe_doctrine": {
-    id: "monroe_doctrine",
-    title: "Monroe Doctrine Revival",
-    emoji: "🦅",
-    players: ["Trump Administration", "Denmark/Canada/Panama/Mexico"],
-    currentPhase: "ESCALATION",
-    phaseColor: "red",
-    lastMove: {
-      player: "Trump",
-      action: "Demands Greenland purchase, threatens tariffs on Canada, questions Panama Canal sovereignty",
-      type: "DEFECT",
-      date: "2026-01-12"
-    },
-    equilibriumStatus: "VOLATILE",
-    statusColor: "red",
-    nextLikelyMove: "NATO allies respond, Denmark rejects bid, trade tensions with neighbors escalate",
-    keywords: ["greenland", "panama canal", "canada", "51st state", "monroe doctrine", "annex", "hemisphere", "trump", "denmark", "mexico", "tariff", "border"],
-    proxies: ["USA", "DNK", "CAN", "PAN"],
-    resource: "TERRITORY",
-    escalationLevel: 2
+// Allowed range per setting, by section (every setting is a number)
+const EMERGING_CONFIG_FIELDS = {
+  limits: {
+    maxQueue: { min: 1, max: 50, integer: true },
+    maxDailyProposals: { min: 0, max: 500, integer: true },   // 0 pauses new proposals
+    maxOrphanBuffer: { min: 10, max: 2000, integer: true },
+    confidenceCutoff: { min: 0, max: 0.99 }
   },
-  "iran_regime_unrest": {
-    id: "iran_regime_unrest",
-    title: "Iran Regime Stability",
-    emoji: "🇮🇷",
-    players: ["Islamic Republic/IRGC", "Protesters/Diaspora/West"],
-    currentPhase: "SUPPRESSION",
-    phaseColor: "red",
-    lastMove: {
-      player: "Regime",
-      action: "Crackdown on Women Life Freedom protests continues",
-      type: "DEFECT",
-      date: "2026-01-11"
-    },
-    equilibriumStatus: "CRITICAL",
-    statusColor: "red",
-    nextLikelyMove: "Economic collapse accelerates unrest or regime consolidates via external conflict",
-    keywords: ["iran protest", "tehran", "irgc", "khamenei", "women life freedom", "rial", "sanctions", "regime change", "iranian unrest", "mahsa amini"],
-    proxies: ["IRN", "USA"],
-    resource: "INFLUENCE",
-    escalationLevel: 3
+  schedule: {
+    // A cron step only runs evenly when it divides the hour (*/45 fires at :00 and :45)
+    scanIntervalMinutes: { min: 1, max: 60, integer: true, allowed: [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30, 60] }
   },
-  "red_sea_houthis": {
-    id: "red_sea_houthis",
-    title: "Red Sea / Houthis",
-    emoji: "🚢",
-    players: ["Houthi Rebels/Iran", "US/UK/Global Shipping"],
-    currentPhase: "CONFLICT",
-    phaseColor: "red",
-    lastMove: {
-      player: "Houthis",
-      action: "Drone and missile attacks on commercial shipping",
-      type: "DEFECT",
-      date: "2026-01-12"
-    },
-    equilibriumStatus: "CRITICAL",
-    statusColor: "red",
-    nextLikelyMove: "US/UK airstrikes on Houthi positions or shipping reroutes via Cape",
-    keywords: ["houthi", "red sea", "bab el mandeb", "yemen", "shipping attack", "maersk", "suez", "aden", "missile ship"],
-    proxies: ["IRN", "USA", "GBR"],
-    resource: "SHIPPING",
-    escalationLevel: 3
+  clustering: {
+    windowHours: { min: 0.5, max: 72 },
+    similarityThreshold: { min: 0.05, max: 1 },
+    snippetWeight: { min: 0, max: 2 },
+    minHeadlines: { min: 2, max: 50, integer: true },
+    minSources: { min: 1, max: 20, integer: true },
+    centroidKeywords: { min: 1, max: 20, integer: true },
+    geoWeight: { min: 0, max: 1 },
+    geoRadiusKm: { min: 0, max: 20000 }
   },
-  "sahel_islamism": {
-    id: "sahel_islamism",
-    title: "Sahel Insurgency",
-    emoji: "🏜️",
-    players: ["Islamist Groups (JNIM/ISGS)", "Sahel States/Wagner"],
-    currentPhase: "FRAGMENTATION",
-    phaseColor: "red",
-    lastMove: {
-      player: "Islamists",
-      action: "Coordinated attacks across Mali, Niger, and Burkina Faso",
-      type: "DEFECT",
-      date: "2026-01-11"
-    },
-    equilibriumStatus: "UNSTABLE",
-    statusColor: "red",
-    nextLikelyMove: "Military junta realignment or Wagner/Russian intervention expansion",
-    keywords: ["sahel", "mali", "niger", "burkina faso", "jnim", "isgs", "wagner africa", "coup", "islamist", "terrorism africa", "french withdrawal"],
-    proxies: ["RUS", "FRA"],
-    resource: "URANIUM",
-    escalationLevel: 3
+  lifecycle: {
+    ttlHours: { min: 1, max: 24 * 14 },
+    defaultSnoozeHours: { min: 0.25, max: 24 * 14 },
+    dismissalMemoryDays: { min: 0, max: 90 },
+    fingerprintOverlap: { min: 0.1, max: 1 }
   }
 };
 
-// Archived games storage
-let archivedGames = {};
+// The live objects each section edits
+function emergingConfigSections() {
+  return {
+    limits: EMERGING_LIMITS,
+    schedule: EMERGING_SCHEDULE,
+    clustering: ORPHAN_CLUSTER_CONFIG,
+    lifecycle: PROPOSAL_LIFECYCLE_CONFIG
+  };
+}
 
-// Auto-archive configuration
-const ARCHIVE_CONFIG = {
-  stableDaysThreshold: 7,      // Days a conflict must be STABLE/COORDINATION before archiving
-  inactiveDaysThreshold: 30,   // Days without any move before archiving
-  resolutionPhases: ['STABLE', 'COORDINATION', 'RESOLUTION', 'RESOLVED'],
-  resolutionKeywords: ['peace deal', 'ceasefire', 'agreement signed', 'conflict ends', 'war ends', 'treaty signed', 'peace accord', 'hostilities end']
-};
+function getEmergingConfig() {
+  return Object.fromEntries(Object.entries(emergingConfigSections()).map(([name, section]) => [name, { ...section }]));
+}
 
-// Track when conflicts became stable
-const stableStartDates = {};
+function isValidSetting(spec, value) {
+  return Number.isFinite(value) && value >= spec.min && value <= spec.max && (!spec.integer || Number.isInteger(value)) &&
+    (!spec.allowed || spec.allowed.includes(value));
+}
 
-// Auto-archive check function
-function autoArchiveConflicts() {
-  const now = new Date();
-  const archiveCount = { stable: 0, inactive: 0 };
-  
-  for (const [gameId, game] of Object.entries(activeGames)) {
-    const phase = (game.currentPhase || '').toUpperCase();
-    const isStablePhase = ARCHIVE_CONFIG.resolutionPhases.some(p => phase.includes(p));
-    
-    // Track stable start date
-    if (isStablePhase) {
-      if (!stableStartDates[gameId]) {
-        stableStartDates[gameId] = now;
-      }
-    } else {
-      delete stableStartDates[gameId];
-    }
-    
-    // Check if stable for long enough
-    if (stableStartDates[gameId]) {
-      const stableDays = Math.floor((now - stableStartDates[gameId]) / (1000 * 60 * 60 * 24));
-      if (stableDays >= ARCHIVE_CONFIG.stableDaysThreshold) {
-        archiveConflict(gameId, `Stable for ${stableDays} days`);
-        archiveCount.stable++;
+// Check a partial update ({ section: { key: value } }) against the ranges and the config it
+// would produce. Returns { errors, changes: [{ setting, from, to }] }
+function validateEmergingConfigUpdate(update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return { errors: ['Body must be an object of config sections'], changes: [] };
+  }
+  
+  const errors = [];
+  const changes = [];
+  const next = getEmergingConfig();
+  for (const [name, values] of Object.entries(update)) {
+    const fields = EMERGING_CONFIG_FIELDS[name];
+    if (!fields) { errors.push(`Unknown section: ${name}`); continue; }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) { errors.push(`${name} must be an object`); continue; }
+    
+    for (const [key, value] of Object.entries(values)) {
+      const spec = fields[key];
+      if (!spec) { errors.push(`Unknown setting: ${name}.${key}`); continue; }
+      if (!isValidSetting(spec, value)) {
+        errors.push(spec.allowed
+          ? `${name}.${key} must be one of ${spec.allowed.join(', ')}`
+          : `${name}.${key} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}`);
         continue;
       }
-    }
-    
-    // Check for inactivity
-    if (game.lastMove?.date) {
-      const lastMoveDate = new Date(game.lastMove.date);
-      const inactiveDays = Math.floor((now - lastMoveDate) / (1000 * 60 * 60 * 24));
-      if (inactiveDays >= ARCHIVE_CONFIG.inactiveDaysThreshold) {
-        archiveConflict(gameId, `No activity for ${inactiveDays} days`);
-        archiveCount.inactive++;
-      }
+      if (next[name][key] !== value) changes.push({ setting: `${name}.${key}`, from: next[name][key], to: value });
+      next[name][key] = value;
     }
   }
   
-  if (archiveCount.stable > 0 || archiveCount.inactive > 0) {
-    console.log(`📦 Auto-archived ${archiveCount.stable} stable + ${archiveCount.inactive} inactive conflicts`);
-    broadcastGameTheoryUpdate();
+  if (next.clustering.minSources > next.clustering.minHeadlines) {
+    errors.push('clustering.minSources cannot exceed clustering.minHeadlines');
   }
+  return { errors, changes, config: next };
 }
 
-// Archive a specific conflict
-function archiveConflict(gameId, reason) {
-  const game = activeGames[gameId];
-  if (!game) return false;
-  
-  archivedGames[gameId] = {
-    ...game,
-    archivedAt: new Date().toISOString(),
-    archiveReason: reason
-  };
-  
-  delete activeGames[gameId];
-  delete stableStartDates[gameId];
-  
-  console.log(`📦 Archived: ${game.title} - ${reason}`);
-  return true;
-}
-
-// Check for resolution in headlines
-function checkForResolution(gameId, headlines) {
-  const game = activeGames[gameId];
-  if (!game) return false;
+// Apply a full or partial config. Out-of-range values (e.g. a hand-edited snapshot) are skipped.
+function applyEmergingConfig(config) {
+  const sections = emergingConfigSections();
+  const scanInterval = EMERGING_SCHEDULE.scanIntervalMinutes;
   
-  const headlineText = headlines.join(' ').toLowerCase();
-  const gameTitle = game.title.toLowerCase();
-  
-  // Check if headline mentions this conflict + resolution keywords
-  const mentionsGame = game.keywords.some(kw => headlineText.includes(kw.toLowerCase()));
-  const mentionsResolution = ARCHIVE_CONFIG.resolutionKeywords.some(kw => headlineText.includes(kw));
-  
-  if (mentionsGame && mentionsResolution) {
-    archiveConflict(gameId, 'Resolution detected in news');
-    broadcastGameTheoryUpdate();
-    return true;
+  for (const [name, values] of Object.entries(config || {})) {
+    const fields = EMERGING_CONFIG_FIELDS[name];
+    if (!fields || !values) continue;
+    for (const [key, spec] of Object.entries(fields)) {
+      if (values[key] === undefined) continue;
+      if (isValidSetting(spec, values[key])) sections[name][key] = values[key];
+      else console.warn(`⚠️ Ignoring out-of-range emerging config ${name}.${key}: ${values[key]}`);
+    }
   }
   
-  return false;
+  trimOrphanBuffer();
+  if (EMERGING_SCHEDULE.scanIntervalMinutes !== scanInterval) scheduleEmergingScan();
 }
 
-// Re-emergence detection keywords (crisis escalation)
-const REEMERGENCE_KEYWORDS = [
-  'escalat', 'crisis', 'emergency', 'attack', 'strike', 'tension', 'clash',
-  'military', 'war', 'conflict', 'invasion', 'sanction', 'collapse', 'crash',
-  'surge', 'spike', 'shock', 'volatile', 'turmoil', 'unrest', 'protest'
-];
+function usageDay(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
 
-// Check if archived conflicts should re-emerge based on new headlines
-function checkForReemergence(headlines) {
-  if (!headlines || headlines.length === 0) return;
-  
-  const headlineText = headlines.join(' ').toLowerCase();
-  let reemergedCount = 0;
-  
-  for (const [gameId, game] of Object.entries(archivedGames)) {
-    // Check if headlines mention this archived conflict
-    const mentionsGame = game.keywords.some(kw => headlineText.includes(kw.toLowerCase()));
-    
-    if (!mentionsGame) continue;
-    
-    // Check if headlines also contain crisis/escalation keywords
-    const mentionsCrisis = REEMERGENCE_KEYWORDS.some(kw => headlineText.includes(kw));
-    
-    if (mentionsCrisis) {
-      // Re-activate this conflict
-      activeGames[gameId] = {
-        ...game,
-        currentPhase: 'ESCALATION',
-        equilibriumStatus: 'RE-EMERGED - Monitoring',
-        reemergedAt: new Date().toISOString(),
-        previousArchiveReason: game.archiveReason
-      };
-      
-      // Clean up archive record
-      delete activeGames[gameId].archivedAt;
-      delete activeGames[gameId].archiveReason;
-      delete archivedGames[gameId];
-      
-      console.log(`🔥 RE-EMERGED: ${game.title} - Crisis keywords detected in new headlines`);
-      reemergedCount++;
-    }
+// Count a proposal outcome against its day. The day's cap-hit time is noted when generated
+// proposals reach maxDailyProposals.
+function countEmergingUsage(kind, ts = Date.now()) {
+  const day = usageDay(ts);
+  if (!emergingUsage[day]) {
+    emergingUsage[day] = { ...Object.fromEntries(EMERGING_USAGE_KINDS.map(k => [k, 0])), capReachedAt: null };
+    const keep = Object.keys(emergingUsage).sort().slice(-EMERGING_USAGE_DAYS);
+    emergingUsage = Object.fromEntries(keep.map(d => [d, emergingUsage[d]]));
   }
   
-  if (reemergedCount > 0) {
-    broadcastGameTheoryUpdate();
+  const usage = emergingUsage[day];
+  usage[kind]++;
+  if (kind === 'generated' && !usage.capReachedAt && usage.generated >= EMERGING_LIMITS.maxDailyProposals) {
+    usage.capReachedAt = new Date(ts).toISOString();
   }
-  
-  return reemergedCount;
 }
 
-// Broadcast game theory update to all clients
-function broadcastGameTheoryUpdate() {
-  cachedGameTheoryData = {
-    games: activeGames,
-    archived: archivedGames,
-    lastUpdate: new Date().toISOString()
-  };
-  
-  broadcast({
-    type: 'game_theory_update',
-    data: cachedGameTheoryData
-  });
+// Newest day first, zero-filled so quiet days still show
+function buildEmergingUsageReport(days) {
+  const report = [];
+  const totals = Object.fromEntries(EMERGING_USAGE_KINDS.map(k => [k, 0]));
+  for (let i = 0; i < days; i++) {
+    const day = usageDay(Date.now() - i * 24 * 60 * 60 * 1000);
+    const usage = emergingUsage[day] || { ...Object.fromEntries(EMERGING_USAGE_KINDS.map(k => [k, 0])), capReachedAt: null };
+    EMERGING_USAGE_KINDS.forEach(k => { totals[k] += usage[k]; });
+    const decided = usage.accepted + usage.dismissed + usage.merged;
+    report.push({ date: day, ...usage, acceptRate: decided ? Math.round((usage.accepted + usage.merged) / decided * 100) / 100 : null });
+  }
+  return { days: report, totals };
 }
 
-// Run auto-archive check daily at midnight
-cron.schedule('0 1 * * *', () => {
-  console.log('🔄 Running daily auto-archive check...');
-  autoArchiveConflicts();
-});
+// ============================================================================
+// GAME THEORY ENGINE - Active Games Tracker
+// ============================================================================
 
-// Cache for game theory updates
-let cachedGameTheoryData = {
-  games: activeGames,
-  archived: archivedGames,
-  lastUpdate: new Date().toISOString()
-};
+// Seed catalogue, archive rules and re-emergence keywords live in game_catalogue.json.
+// The file is watched; edits are merged into the running board (see mergeGameCatalogue).
+const GAME_CATALOGUE_FILE = process.env.GAME_CATALOGUE_FILE || path.join(__dirname, 'game_catalogue.json');
 
-// Function to update a specific game with Red Team Verification
-async function updateGameWithAI(gameId, relevantHeadlines) {
-  const game = activeGames[gameId];
-  if (!game || relevantHeadlines.length === 0) return null;
+let activeGames = {};
 
-  try {
-    // --- STEP 1: BLUE TEAM ANALYSIS (The Proposer) ---
-    const bluePrompt = `You are a game theory analyst tracking the "${game.title}" strategic game.
-
-CURRENT STATE:
-${JSON.stringify(game, null, 2)}
-
-LATEST RELEVANT NEWS (last few hours):
-${relevantHeadlines.map(h => `- ${h}`).join('\n')}
-
-TASK: Analyze if any news represents a NEW MOVE in this game. Also identify the GREAT POWER SPONSORS and strategic RESOURCES at stake.
-
-If YES, respond with ONLY valid JSON (no markdown):
-{
-  "newMove": true,
-  "player": "Which player moved",
-  "action": "Brief description of the move (max 10 words)",
-  "type": "DEFECT or COOPERATE or SIGNAL",
-  "newPhase": "SETUP or ESCALATION or BRINKMANSHIP or CONFLICT or ATTRITION or STANDOFF or COORDINATION or POSTURING",
-  "phaseColor": "green or yellow or red",
-  "equilibriumStatus": "STABLE or SHIFTING or UNSTABLE or CRITICAL or TENSE or FROZEN CONFLICT",
-  "statusColor": "green or yellow or red", 
-  "nextLikelyMove": "Predicted opponent response (max 15 words)",
-  "proxies": ["USA", "CHN"],
-  "resource": "One of: CHIPS, OIL, GAS, SHIPPING, RARE EARTHS, WHEAT, URANIUM, WATER, TRADE ROUTES, TERRITORY, INFLUENCE, RATES, NUCLEAR, RESERVE CURRENCY, RED SEA ACCESS, or NONE",
-  "escalationLevel": 1
-}
-
-PROXY DECODER GUIDANCE:
-- proxies: The great power sponsors behind this conflict (2-3 letter codes: USA, CHN, RUS, IRN, SAU, UAE, TUR, ISR, FRA, GBR, IND, PAK, EU, G7, PRK, PHL, DNK, CAN, PAN, etc.)
-- resource: The strategic prize at stake - use standardized values like CHIPS, OIL, GAS, SHIPPING, TERRITORY, RATES, NUCLEAR, INFLUENCE, etc.
-- escalationLevel: 1=Rhetoric, 2=Hybrid/Cyber, 3=Proxy Kinetic, 4=Direct State, 5=Systemic War
-
-If NO significant new move, respond with:
-{"newMove": false}`;
-
-    const blueResp = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: bluePrompt }] }],
-    });
+// Catalogue games exactly as last read from disk - the merge base for the next reload
+let catalogueBaseline = {};
 
-    const blueText = blueResp.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!blueText) return null;
+// Archived games storage
+let archivedGames = {};
 
-    const blueMatch = blueText.match(/\{[\s\S]*\}/);
-    if (!blueMatch) return null;
+// Allowed values for game fields (seed catalogue + what the AI prompts ask for)
+const GAME_PHASES = [
+  'SETUP', 'FORMATION', 'POSTURING', 'SIGNALING', 'STANDOFF', 'ESCALATION', 'BRINKMANSHIP',
+  'SKIRMISHING', 'CAT AND MOUSE', 'CONFLICT', 'ATTRITION', 'SUPPRESSION', 'FRAGMENTATION',
+  'ADAPTATION', 'COORDINATION', 'STABLE', 'RESOLUTION', 'RESOLVED'
+];
+const GAME_RESOURCES = [
+  'CHIPS', 'OIL', 'GAS', 'SHIPPING', 'RARE EARTHS', 'WHEAT', 'URANIUM', 'WATER', 'TRADE ROUTES',
+  'TERRITORY', 'INFLUENCE', 'RATES', 'NUCLEAR', 'RESERVE CURRENCY', 'RED SEA ACCESS', 'NONE'
+];
+const MOVE_TYPES = ['DEFECT', 'COOPERATE', 'SIGNAL'];
+const GAME_COLORS = ['green', 'yellow', 'red'];
+const ESCALATION_LABELS = {
+  1: 'Rhetoric',
+  2: 'Hybrid/Cyber',
+  3: 'Proxy Kinetic',
+  4: 'Direct State',
+  5: 'Systemic War'
+};
 
-    const blueResult = JSON.parse(blueMatch[0]);
-    
-    if (!blueResult.newMove) return null;
+// ============================================================================
+// STRUCTURED AI OUTPUTS - schemas, validation, repair
+// ============================================================================
+// Every prompt that answers in JSON has a schema here, keyed by prompt id (a JSON Schema
+// subset: type, enum, const, required, properties, items, min/max, length, pattern, oneOf).
+// The parser and validator are in lib/ai-output.js. Replies are validated before anything
+// is committed; a reply that fails goes back through the same feature's model chain with
+// the problems listed (json_repair prompt), up to AI_REPAIR_ATTEMPTS times. Every failed
+// payload is logged to ai_rejections.jsonl.
+const AI_REJECTIONS_FILE = process.env.AI_REJECTIONS_FILE || path.join(__dirname, 'ai_rejections.jsonl');
+const AI_REJECTIONS_MAX_BYTES = 5 * 1024 * 1024; // rolled over to .1 beyond this
+const AI_REPAIR_ATTEMPTS = 2;
+const MAX_REJECTED_TEXT = 4000;
+
+const AI_PROXY_CODES = { type: 'array', items: { type: 'string', pattern: '^[A-Z0-9]{2,3}$' }, maxItems: 8 };
+const AI_LOCATION = {
+  type: 'object',
+  required: ['lat', 'lon'],
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lon: { type: 'number', minimum: -180, maximum: 180 },
+    city: { type: 'string' }
+  }
+};
+const AI_KEYWORDS = { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 20 };
+
+// Shared by the emerging-conflict and compound-stress proposals
+const AI_CONFLICT_VERDICT = {
+  oneOf: [
+    {
+      type: 'object',
+      required: ['isConflict', 'confidence', 'title', 'players', 'currentPhase', 'keywords', 'summary'],
+      properties: {
+        isConflict: { const: true },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        title: { type: 'string', minLength: 1, maxLength: 40 },
+        emoji: { type: 'string', maxLength: 16 },
+        players: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 10 },
+        currentPhase: { enum: GAME_PHASES },
+        keywords: AI_KEYWORDS,
+        summary: { type: 'string', minLength: 1 },
+        location: AI_LOCATION,
+        proxies: AI_PROXY_CODES,
+        resource: { enum: GAME_RESOURCES },
+        escalationLevel: { type: 'integer', minimum: 1, maximum: 5 }
+      }
+    },
+    {
+      type: 'object',
+      required: ['isConflict'],
+      properties: { isConflict: { const: false }, reason: { type: 'string' } }
+    }
+  ]
+};
 
-    // --- STEP 2: RED TEAM CHALLENGE (The Verifier) ---
-    const redPrompt = `ROLE: Senior Intelligence Auditor (Red Team)
+const AI_OUTPUT_SCHEMAS = {
+  emerging_conflict: AI_CONFLICT_VERDICT,
+  compound_stress: AI_CONFLICT_VERDICT,
+  game_blue_team: {
+    oneOf: [
+      {
+        type: 'object',
+        required: ['newMove', 'player', 'action', 'type', 'newPhase'],
+        properties: {
+          newMove: { const: true },
+          player: { type: 'string', minLength: 1 },
+          action: { type: 'string', minLength: 1, maxLength: 200 },
+          type: { enum: MOVE_TYPES },
+          newPhase: { enum: GAME_PHASES },
+          phaseColor: { enum: GAME_COLORS },
+          equilibriumStatus: { type: 'string', minLength: 1 },
+          statusColor: { enum: GAME_COLORS },
+          nextLikelyMove: { type: 'string' },
+          proxies: AI_PROXY_CODES,
+          resource: { enum: GAME_RESOURCES },
+          escalationLevel: { type: 'integer', minimum: 1, maximum: 5 },
+          scenarios: {
+            type: 'array',
+            maxItems: 6,
+            items: {
+              type: 'object',
+              required: ['label', 'probability'],
+              properties: {
+                label: { type: 'string', minLength: 1 },
+                probability: { type: 'number', minimum: 0, maximum: 1 },
+                support: { type: 'array', items: { type: 'string' } },
+                against: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }
+      },
+      {
+        type: 'object',
+        required: ['newMove'],
+        properties: { newMove: { const: false } }
+      }
+    ]
+  },
+  game_red_team: {
+    type: 'object',
+    required: ['verified'],
+    properties: { verified: { type: 'boolean' }, reason: { type: 'string' } }
+  },
+  // Grid dimensions and unique strategy names are checked by isValidPayoffMatrix
+  payoff_matrix: {
+    type: 'object',
+    required: ['players', 'strategies', 'payoffs'],
+    properties: {
+      players: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 2, maxItems: 2 },
+      strategies: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 2,
+        items: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 2 }
+      },
+      payoffs: {
+        type: 'array',
+        items: { type: 'array', items: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 } }
+      }
+    }
+  }
+};
 
-PROPOSED UPDATE: The analyst claims "${blueResult.player}" just did "${blueResult.action}" in the "${game.title}" game based on these headlines:
-${relevantHeadlines.map(h => `- ${h}`).join('\n')}
+function logAiRejection(entry) {
+  try {
+    if (fs.existsSync(AI_REJECTIONS_FILE) && fs.statSync(AI_REJECTIONS_FILE).size > AI_REJECTIONS_MAX_BYTES) {
+      fs.renameSync(AI_REJECTIONS_FILE, `${AI_REJECTIONS_FILE}.1`);
+    }
+    const line = { id: `rej_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`, at: new Date().toISOString(), ...entry, raw: (entry.raw || '').substring(0, MAX_REJECTED_TEXT) };
+    fs.appendFileSync(AI_REJECTIONS_FILE, JSON.stringify(line) + '\n');
+  } catch (e) {
+    console.error('AI rejection log write failed:', e.message);
+  }
+}
+
+// Generate, parse and validate a structured reply, repairing it if needed.
+// `check` adds rules a schema can't express (returns a list of problems).
+// Returns { data, provider, model, repairs }. Throws if no valid reply came back; the error
+// carries .validation (the last problems) when the model answered but never validly.
+async function generateStructured(prompt, { check } = {}) {
+  const feature = prompt.ref.id;
+  const schema = AI_OUTPUT_SCHEMAS[feature];
+  if (!schema) throw new Error(`No output schema for ${feature}`);
+  
+  let response = await generateText(prompt);
+  for (let attempt = 0; ; attempt++) {
+    const { value, error } = parseAiJson(response.text);
+    let errors = error ? [`$: not valid JSON (${error})`] : validateAgainstSchema(value, schema);
+    if (errors.length === 0 && check) errors = check(value);
+    if (errors.length === 0) {
+      if (attempt > 0) console.log(`🧩 ${feature} reply repaired after ${attempt} attempt(s)`);
+      return { data: value, provider: response.provider, model: response.model, repairs: attempt };
+    }
+    
+    logAiRejection({ prompt: prompt.ref, model: `${response.provider}:${response.model}`, attempt, errors, raw: response.text });
+    if (attempt >= AI_REPAIR_ATTEMPTS) {
+      const err = new Error(`${feature} reply failed validation after ${attempt} repair(s): ${errors.slice(0, 3).join('; ')}`);
+      err.validation = errors;
+      throw err;
+    }
+    
+    console.warn(`🧩 ${feature} reply failed validation (${errors.length} problem(s)) - asking for a repair`);
+    response = await generateText(renderPrompt('json_repair', {
+      task: prompt.text,
+      output: response.text,
+      errors: errors.map(e => `- ${e}`).join('\n'),
+      schema: JSON.stringify(schema, null, 2)
+    }), { feature });
+  }
+}
+
+// Auto-archive configuration (filled from game_catalogue.json)
+//   stableDaysThreshold   - days a conflict must be STABLE/COORDINATION before archiving
+//   inactiveDaysThreshold - days without any move before archiving
+const ARCHIVE_CONFIG = {
+  stableDaysThreshold: 0,
+  inactiveDaysThreshold: 0,
+  resolutionPhases: [],
+  resolutionKeywords: []
+};
 
-VERIFICATION TASK:
-1. Is this actually "NEW" or just a recap of old news?
-2. Is this strategically significant, or just noise?
-3. Is the logic sound?
+// Re-emergence detection keywords (crisis escalation) - filled from game_catalogue.json
+const REEMERGENCE_KEYWORDS = [];
+
+// Re-emergence scoring (filled from game_catalogue.json)
+//   threshold     - summed headline score needed to revive an archived game
+//   minSources    - distinct sources that must carry a qualifying headline
+//   cooldownHours - hours after archiving before a game can re-emerge
+const REEMERGENCE_CONFIG = {
+  threshold: 0,
+  minSources: 0,
+  cooldownHours: 0
+};
 
-If VALID, output JSON: { "verified": true }
-If INVALID, output JSON: { "verified": false, "reason": "Brief explanation" }`;
+// Resource/proxy -> snapshot keys for move event studies - filled from game_catalogue.json
+const EXPOSURE_BASKETS = { resources: {}, proxies: {} };
 
-    const redResp = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: redPrompt }] }],
-    });
+// Every catalogue game must spell out its full starting state
+const CATALOGUE_GAME_FIELDS = [
+  'title', 'emoji', 'players', 'currentPhase', 'phaseColor', 'lastMove', 'equilibriumStatus',
+  'statusColor', 'nextLikelyMove', 'keywords', 'proxies', 'resource', 'escalationLevel'
+];
 
-    const redText = redResp.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!redText) return null;
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+
+// Schema check for game_catalogue.json. Games go through the same rules as analyst edits.
+function validateGameCatalogue(catalogue) {
+  if (!catalogue || typeof catalogue !== 'object' || Array.isArray(catalogue)) {
+    return { errors: ['Catalogue must be a JSON object'], value: null };
+  }
+  
+  const errors = [];
+  const archive = catalogue.archive || {};
+  if (!isPositiveInt(archive.stableDaysThreshold)) errors.push('archive.stableDaysThreshold must be a positive integer');
+  if (!isPositiveInt(archive.inactiveDaysThreshold)) errors.push('archive.inactiveDaysThreshold must be a positive integer');
+  if (!Array.isArray(archive.resolutionPhases) || !archive.resolutionPhases.every(p => GAME_PHASES.includes(p))) {
+    errors.push(`archive.resolutionPhases must list phases from: ${GAME_PHASES.join(', ')}`);
+  }
+  if (!isStringList(archive.resolutionKeywords, 1, 100)) errors.push('archive.resolutionKeywords must be 1-100 non-empty strings');
+  if (!isStringList(catalogue.reemergenceKeywords, 1, 100)) errors.push('reemergenceKeywords must be 1-100 non-empty strings');
+  const reemergence = catalogue.reemergence || {};
+  if (!(Number.isFinite(reemergence.threshold) && reemergence.threshold > 0)) errors.push('reemergence.threshold must be a positive number');
+  if (!isPositiveInt(reemergence.minSources)) errors.push('reemergence.minSources must be a positive integer');
+  if (!(Number.isFinite(reemergence.cooldownHours) && reemergence.cooldownHours >= 0)) errors.push('reemergence.cooldownHours must be a number >= 0');
+  
+  const baskets = catalogue.exposureBaskets || {};
+  const isBasketMap = (m) => m === undefined || (m && typeof m === 'object' && !Array.isArray(m) &&
+    Object.values(m).every(keys => Array.isArray(keys) && keys.every(k => /^[a-z0-9_]+$/.test(k))));
+  if (!isBasketMap(baskets.resources) || !isBasketMap(baskets.proxies)) {
+    errors.push('exposureBaskets.resources/proxies must map names to lists of snapshot keys (e.g. "OIL": ["wti", "brent"])');
+  } else {
+    for (const group of ['resources', 'proxies']) {
+      for (const [name, keys] of Object.entries(baskets[group] || {})) {
+        const unknown = keys.filter(k => !MARKET_SNAPSHOT_KEYS.includes(k));
+        if (unknown.length) errors.push(`exposureBaskets.${group}.${name}: unknown snapshot key(s) ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  const games = {};
+  if (!catalogue.games || typeof catalogue.games !== 'object' || Array.isArray(catalogue.games)) {
+    errors.push('games must be an object keyed by game id');
+  } else {
+    for (const [gameId, game] of Object.entries(catalogue.games)) {
+      if (!/^[a-z0-9_]{2,40}$/.test(gameId)) errors.push(`games.${gameId}: id must be 2-40 chars of a-z, 0-9 or _`);
+      if (game?.id !== undefined && game.id !== gameId) errors.push(`games.${gameId}: id field does not match its key`);
+      
+      const missing = CATALOGUE_GAME_FIELDS.filter(f => game?.[f] === undefined);
+      if (missing.length > 0) errors.push(`games.${gameId}: missing ${missing.join(', ')}`);
+      
+      const result = validateGameInput(game, { partial: true });
+      result.errors.forEach(e => errors.push(`games.${gameId}: ${e}`));
+      games[gameId] = { id: gameId, ...result.value };
+    }
+  }
+  
+  return {
+    errors,
+    value: {
+      archive: {
+        stableDaysThreshold: archive.stableDaysThreshold,
+        inactiveDaysThreshold: archive.inactiveDaysThreshold,
+        resolutionPhases: archive.resolutionPhases,
+        resolutionKeywords: (archive.resolutionKeywords || []).map(k => k.toLowerCase())
+      },
+      reemergence: {
+        threshold: reemergence.threshold,
+        minSources: reemergence.minSources,
+        cooldownHours: reemergence.cooldownHours
+      },
+      reemergenceKeywords: (catalogue.reemergenceKeywords || []).map(k => k.toLowerCase()),
+      exposureBaskets: { resources: baskets.resources || {}, proxies: baskets.proxies || {} },
+      games
+    }
+  };
+}
+
+// Three-way merge of the catalogue into the running board. A field is only written
+// when the file changed it since the last load, so AI-updated phases/moves survive
+// unrelated edits. New ids are opened; ids removed from the file are left alone.
+function mergeGameCatalogue(games, rawGames) {
+  const summary = { added: [], updated: [] };
+  
+  for (const [gameId, seed] of Object.entries(games)) {
+    const base = catalogueBaseline[gameId];
+    const board = activeGames[gameId] ? activeGames : archivedGames[gameId] ? archivedGames : null;
+    
+    if (!board) {
+      // In the last catalogue but gone from both boards = deleted on purpose, don't resurrect
+      if (base) continue;
+      activeGames[gameId] = withEquilibrium({ ...seed, escalationSince: new Date().toISOString() });
+      recordEvent('game_commit', { gameId, game: activeGames[gameId] });
+      summary.added.push(gameId);
+      continue;
+    }
+    
+    // No base (first load over an older snapshot) - adopt the file without touching live games
+    if (!base) continue;
     
-    const redMatch = redText.match(/\{[\s\S]*\}/);
-    if (!redMatch) return null;
+    const changed = Object.keys(seed).filter(f => JSON.stringify(rawGames[gameId][f]) !== JSON.stringify(base[f]));
+    if (changed.length === 0) continue;
     
-    const redResult = JSON.parse(redMatch[0]);
+    let merged = { ...board[gameId] };
+    changed.forEach(f => { merged[f] = seed[f]; });
+    if (changed.includes('payoffMatrix')) merged = withEquilibrium(merged);
+    recordEscalationChange(gameId, board[gameId].escalationLevel, merged, {
+      source: 'CATALOGUE',
+      evidence: { fields: changed }
+    });
+    board[gameId] = merged;
+    if (board === activeGames) {
+      recordEvent('game_commit', { gameId, game: merged });
+    } else {
+      recordEvent('game_archived', { gameId, game: merged });
+    }
+    summary.updated.push(`${gameId} (${changed.join(', ')})`);
+  }
+  
+  catalogueBaseline = rawGames;
+  return summary;
+}
 
-    if (!redResult.verified) {
-      console.log(`RED TEAM BLOCKED: ${game.title} update rejected. Reason: ${redResult.reason || 'Unverified'}`);
-      return null;
+// Read, validate and apply game_catalogue.json. Throws if the file is missing or invalid.
+function loadGameCatalogue() {
+  const raw = JSON.parse(fs.readFileSync(GAME_CATALOGUE_FILE, 'utf8'));
+  const { errors, value } = validateGameCatalogue(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid game catalogue:\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  Object.assign(ARCHIVE_CONFIG, value.archive);
+  Object.assign(REEMERGENCE_CONFIG, value.reemergence);
+  REEMERGENCE_KEYWORDS.splice(0, REEMERGENCE_KEYWORDS.length, ...value.reemergenceKeywords);
+  Object.assign(EXPOSURE_BASKETS, value.exposureBaskets);
+  
+  const summary = mergeGameCatalogue(value.games, raw.games);
+  console.log(`📚 Game catalogue: ${Object.keys(value.games).length} games, ${summary.added.length} added, ${summary.updated.length} updated`);
+  summary.updated.forEach(u => console.log(`   ✏️ ${u}`));
+  return summary;
+}
+
+// Hot reload - watch the directory (editors often save by rename) and debounce bursts
+function watchGameCatalogue() {
+  let reloadTimer = null;
+  const fileName = path.basename(GAME_CATALOGUE_FILE);
+  
+  try {
+    fs.watch(path.dirname(GAME_CATALOGUE_FILE), (eventType, changed) => {
+      if (changed !== fileName) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        try {
+          const summary = loadGameCatalogue();
+          if (summary.added.length > 0 || summary.updated.length > 0) broadcastGameTheoryUpdate();
+        } catch (e) {
+          // Keep running on the last good catalogue
+          console.error('📚 Game catalogue reload rejected:', e.message);
+        }
+      }, 500);
+    });
+    console.log(`📚 Watching ${fileName} for changes`);
+  } catch (e) {
+    console.error('📚 Could not watch game catalogue:', e.message);
+  }
+}
+
+// Track when conflicts became stable
+const stableStartDates = {};
+
+// Auto-archive check function
+function autoArchiveConflicts() {
+  const now = new Date();
+  const archiveCount = { stable: 0, inactive: 0 };
+  
+  for (const [gameId, game] of Object.entries(activeGames)) {
+    const phase = (game.currentPhase || '').toUpperCase();
+    const isStablePhase = ARCHIVE_CONFIG.resolutionPhases.some(p => phase.includes(p));
+    
+    // Track stable start date
+    if (isStablePhase) {
+      if (!stableStartDates[gameId]) {
+        stableStartDates[gameId] = now;
+      }
+    } else {
+      delete stableStartDates[gameId];
     }
+    
+    // Check if stable for long enough
+    if (stableStartDates[gameId]) {
+      const stableDays = Math.floor((now - stableStartDates[gameId]) / (1000 * 60 * 60 * 24));
+      if (stableDays >= ARCHIVE_CONFIG.stableDaysThreshold) {
+        archiveConflict(gameId, `Stable for ${stableDays} days`);
+        archiveCount.stable++;
+        continue;
+      }
+    }
+    
+    // Check for inactivity
+    if (game.lastMove?.date) {
+      const lastMoveDate = new Date(game.lastMove.date);
+      const inactiveDays = Math.floor((now - lastMoveDate) / (1000 * 60 * 60 * 24));
+      if (inactiveDays >= ARCHIVE_CONFIG.inactiveDaysThreshold) {
+        archiveConflict(gameId, `No activity for ${inactiveDays} days`);
+        archiveCount.inactive++;
+      }
+    }
+  }
+  
+  if (archiveCount.stable > 0 || archiveCount.inactive > 0) {
+    console.log(`📦 Auto-archived ${archiveCount.stable} stable + ${archiveCount.inactive} inactive conflicts`);
+    broadcastGameTheoryUpdate();
+  }
+}
 
-    // --- STEP 3: COMMIT (Only if Red Team Approves) ---
+// Archive/re-emergence cycles per game: ARCHIVED, REEMERGED, RESTORED, DELETED entries in order
+let archiveCycleLog = {};
+
+function recordArchiveCycle(gameId, type, game, { reason = null, headlines = [], explanation } = {}) {
+  if (!archiveCycleLog[gameId]) archiveCycleLog[gameId] = [];
+  const log = archiveCycleLog[gameId];
+  const entry = {
+    type,
+    timestamp: new Date().toISOString(),
+    cycle: log.filter(e => e.type === 'ARCHIVED').length + (type === 'ARCHIVED' ? 1 : 0),
+    reason,
+    phase: game?.currentPhase || null,
+    escalationLevel: game?.escalationLevel || null,
+    headlines
+  };
+  if (explanation) entry.explanation = explanation;
+  log.push(entry);
+  recordEvent('archive_cycle', { gameId, entry });
+  return entry;
+}
+
+// Archive a specific conflict
+function archiveConflict(gameId, reason) {
+  const game = activeGames[gameId];
+  if (!game) return false;
+  
+  archivedGames[gameId] = {
+    ...game,
+    archivedAt: new Date().toISOString(),
+    archiveReason: reason
+  };
+  
+  delete activeGames[gameId];
+  delete stableStartDates[gameId];
+  recordEvent('game_archived', { gameId, game: archivedGames[gameId] });
+  recordArchiveCycle(gameId, 'ARCHIVED', game, { reason });
+  
+  console.log(`📦 Archived: ${game.title} - ${reason}`);
+  return true;
+}
+
+// Restore an archived conflict to the active board (analyst action)
+function unarchiveConflict(gameId, reason) {
+  const game = archivedGames[gameId];
+  if (!game) return false;
+  
+  activeGames[gameId] = {
+    ...game,
+    restoredAt: new Date().toISOString(),
+    previousArchiveReason: game.archiveReason
+  };
+  delete activeGames[gameId].archivedAt;
+  delete activeGames[gameId].archiveReason;
+  delete archivedGames[gameId];
+  recordEvent('game_reemerged', { gameId, game: activeGames[gameId] });
+  recordArchiveCycle(gameId, 'RESTORED', activeGames[gameId], { reason });
+  
+  console.log(`📤 Unarchived: ${game.title} - ${reason}`);
+  return true;
+}
+
+// Check for resolution in headlines
+function checkForResolution(gameId, headlines) {
+  const game = activeGames[gameId];
+  if (!game) return false;
+  
+  // One headline has to carry both the conflict and the resolution
+  const resolved = headlines.some(headline => matchGame(game, headline).matched &&
+    ARCHIVE_CONFIG.resolutionKeywords.some(kw => termMatches(headline, kw) && !isNegated(headline, kw)));
+  
+  if (resolved) {
+    archiveConflict(gameId, 'Resolution detected in news');
+    broadcastGameTheoryUpdate();
+    return true;
+  }
+  
+  return false;
+}
+
+// Last re-emergence pass, kept for GET /api/games/reemergence
+let lastReemergenceCheck = null;
+
+// Crisis keywords present (and not negated) in one headline
+function crisisTermsIn(headline) {
+  return REEMERGENCE_KEYWORDS.filter(kw => {
+    if (!termMatches(headline, kw)) return false;
+    const pattern = kw.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + (kw.endsWith('*') ? '\\w*' : '');
+    return !isNegated(headline, pattern);
+  });
+}
+
+// Score one archived game against recent orphans. A headline only counts when it names
+// the game AND carries a crisis word; each source contributes its best headline once.
+function scoreReemergence(gameId, game, orphans, now = Date.now()) {
+  const cooldownUntil = new Date(game.archivedAt).getTime() + REEMERGENCE_CONFIG.cooldownHours * 3600000;
+  const explanation = {
+    gameId,
+    title: game.title,
+    revived: false,
+    verdict: null,
+    score: 0,
+    threshold: REEMERGENCE_CONFIG.threshold,
+    sources: [],
+    minSources: REEMERGENCE_CONFIG.minSources,
+    cooldownUntil: Number.isFinite(cooldownUntil) ? new Date(cooldownUntil).toISOString() : null,
+    triggers: []
+  };
+  
+  const bestBySource = {};
+  for (const orphan of orphans) {
+    const match = matchGame(game, orphan.headline);
+    if (!match.matched) continue;
+    const crisisTerms = crisisTermsIn(orphan.headline);
+    if (crisisTerms.length === 0) continue;
+    
+    const trigger = {
+      headline: orphan.headline,
+      source: orphan.source || 'unknown',
+      gameTerms: match.terms.map(t => t.alias || t.term),
+      crisisTerms,
+      score: Math.round((match.score + crisisTerms.length) * 100) / 100
+    };
+    const best = bestBySource[trigger.source];
+    if (!best || trigger.score > best.score) bestBySource[trigger.source] = trigger;
+  }
+  
+  explanation.triggers = Object.values(bestBySource).sort((a, b) => b.score - a.score);
+  explanation.sources = explanation.triggers.map(t => t.source);
+  explanation.score = Math.round(explanation.triggers.reduce((sum, t) => sum + t.score, 0) * 100) / 100;
+  
+  if (explanation.triggers.length === 0) explanation.verdict = 'NO_TRIGGERS';
+  else if (now < cooldownUntil) explanation.verdict = 'COOLDOWN';
+  else if (explanation.sources.length < REEMERGENCE_CONFIG.minSources) explanation.verdict = 'TOO_FEW_SOURCES';
+  else if (explanation.score < REEMERGENCE_CONFIG.threshold) explanation.verdict = 'BELOW_THRESHOLD';
+  else {
+    explanation.verdict = 'REVIVED';
+    explanation.revived = true;
+  }
+  
+  return explanation;
+}
+
+// Check if archived conflicts should re-emerge based on recent orphan headlines ({headline, source})
+// Returns an explanation per archived game that had at least one qualifying headline
+function checkForReemergence(orphans) {
+  const result = { checkedAt: new Date().toISOString(), headlines: (orphans || []).length, revived: [], games: [] };
+  if (!orphans || orphans.length === 0) return result;
+  
+  for (const [gameId, game] of Object.entries(archivedGames)) {
+    const explanation = scoreReemergence(gameId, game, orphans);
+    if (explanation.verdict === 'NO_TRIGGERS') continue;
+    result.games.push(explanation);
+    if (!explanation.revived) continue;
+    
+    // Re-activate this conflict
     activeGames[gameId] = {
       ...game,
-      currentPhase: blueResult.newPhase || game.currentPhase,
-      phaseColor: blueResult.phaseColor || game.phaseColor,
-      lastMove: {
-        player: blueResult.player,
-        action: blueResult.action,
-        type: blueResult.type,
-        date: new Date().toISOString().split('T')[0]
-      },
-      equilibriumStatus: blueResult.equilibriumStatus || game.equilibriumStatus,
-      statusColor: blueResult.statusColor || game.statusColor,
-      nextLikelyMove: blueResult.nextLikelyMove || game.nextLikelyMove,
-      proxies: blueResult.proxies || game.proxies || [],
-      resource: blueResult.resource || game.resource || 'NONE',
-      escalationLevel: blueResult.escalationLevel || game.escalationLevel || 1
+      currentPhase: 'ESCALATION',
+      equilibriumStatus: 'RE-EMERGED - Monitoring',
+      reemergedAt: new Date().toISOString(),
+      previousArchiveReason: game.archiveReason
     };
     
-    console.log(`VERIFIED UPDATE: ${game.title} - New ${blueResult.type} move by ${blueResult.player}`);
+    // Clean up archive record
+    delete activeGames[gameId].archivedAt;
+    delete activeGames[gameId].archiveReason;
+    delete archivedGames[gameId];
+    recordEvent('game_reemerged', { gameId, game: activeGames[gameId] });
+    recordArchiveCycle(gameId, 'REEMERGED', activeGames[gameId], {
+      reason: `Re-emergence score ${explanation.score} from ${explanation.sources.length} sources`,
+      headlines: explanation.triggers.slice(0, 5).map(t => t.headline),
+      explanation
+    });
     
-    // Check if this update indicates resolution - could trigger auto-archive
-    const newPhase = (blueResult.newPhase || '').toUpperCase();
-    if (ARCHIVE_CONFIG.resolutionPhases.some(p => newPhase.includes(p))) {
-      if (!stableStartDates[gameId]) {
-        stableStartDates[gameId] = new Date();
-        console.log(`${game.title} entered stable phase - tracking for potential archive`);
-      }
+    console.log(`🔥 RE-EMERGED: ${game.title} - score ${explanation.score}/${explanation.threshold} from ${explanation.sources.join(', ')}`);
+    result.revived.push(gameId);
+  }
+  
+  lastReemergenceCheck = result;
+  if (result.revived.length > 0) {
+    broadcastGameTheoryUpdate();
+  }
+  
+  return result;
+}
+
+// Broadcast game theory update to all clients
+function broadcastGameTheoryUpdate() {
+  cachedGameTheoryData = {
+    games: gamesWithGeo(activeGames),
+    archived: gamesWithGeo(archivedGames),
+    lastUpdate: new Date().toISOString()
+  };
+  
+  broadcast({
+    type: 'game_theory_update',
+    data: cachedGameTheoryData
+  });
+}
+
+// Run auto-archive check daily at midnight
+cron.schedule('0 1 * * *', () => {
+  console.log('🔄 Running daily auto-archive check...');
+  autoArchiveConflicts();
+});
+
+// Cache for game theory updates
+let cachedGameTheoryData = {
+  games: activeGames,
+  archived: archivedGames,
+  lastUpdate: new Date().toISOString()
+};
+
+// Ordered move log per game (kept outside the game object so board broadcasts stay small)
+let gameMoveLog = {};
+
+// Append a committed move to a game's history and push it to clients
+function recordGameMove(gameId, details) {
+  if (!gameMoveLog[gameId]) gameMoveLog[gameId] = [];
+  
+  const now = Date.now();
+  const game = activeGames[gameId] || archivedGames[gameId];
+  const move = {
+    id: `move_${now}_${Math.random().toString(36).substr(2, 6)}`,
+    gameId,
+    seq: gameMoveLog[gameId].length + 1,
+    timestamp: new Date(now).toISOString(),
+    ...details,
+    marketStudy: game ? startMoveStudy(game, now) : null
+  };
+  
+  gameMoveLog[gameId].push(move);
+  recordEvent('game_move', { gameId, move });
+  
+  broadcast({
+    type: 'game_move',
+    data: { gameId, move }
+  });
+  
+  return move;
+}
+
+// Escalation ladder - every rung change per game, with the evidence behind it
+let escalationLog = {};
+
+// Log a rung change and stamp escalationSince on the game. Call before the game is
+// journaled so the stamp is part of the committed object.
+function recordEscalationChange(gameId, fromLevel, game, { source, evidence = {} }) {
+  const from = Number(fromLevel);
+  const to = Number(game.escalationLevel);
+  if (!from || !to || from === to) return null;
+  
+  if (!escalationLog[gameId]) escalationLog[gameId] = [];
+  const change = {
+    id: `esc_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    gameId,
+    from,
+    to,
+    fromLabel: ESCALATION_LABELS[from] || null,
+    toLabel: ESCALATION_LABELS[to] || null,
+    timestamp: new Date().toISOString(),
+    source,
+    evidence
+  };
+  
+  game.escalationSince = change.timestamp;
+  escalationLog[gameId].push(change);
+  recordEvent('escalation_change', { gameId, change });
+  broadcast({ type: 'escalation_change', data: { gameId, change } });
+  
+  // Alert when the alert rung is crossed in either direction
+  const rung = CONFIG.ESCALATION_ALERT_LEVEL;
+  const direction = from < rung && to >= rung ? 'UP' : (from >= rung && to < rung ? 'DOWN' : null);
+  if (direction) {
+    console.log(`🚨 ESCALATION ALERT: ${game.title} ${from} → ${to} (${change.toLabel}) crossed rung ${rung}`);
+    broadcast({
+      type: 'escalation_alert',
+      data: { ...change, title: game.title, rung, direction }
+    });
+  }
+  
+  return change;
+}
+
+// Blue/Red audit trail - every Blue proposal with the Red verdict, newest last
+let gameAuditLog = [];
+const MAX_AUDIT_ENTRIES = 5000;
+
+function recordAuditEntry(gameId, { blue, red, headlines, proposedAt, prompts }) {
+  const entry = {
+    id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    gameId,
+    title: activeGames[gameId]?.title || gameId,
+    proposedAt,
+    reviewedAt: new Date().toISOString(),
+    verdict: red.verified ? 'APPROVED' : 'BLOCKED',
+    blue,
+    red,
+    headlines,
+    prompts,
+    override: null
+  };
+  
+  gameAuditLog.push(entry);
+  if (gameAuditLog.length > MAX_AUDIT_ENTRIES) gameAuditLog.shift();
+  recordEvent('audit_entry', { entry });
+  return entry;
+}
+
+// Analyst override of a wrongly blocked proposal - commits the original Blue move
+function overrideBlockedProposal(auditId, reason) {
+  const entry = gameAuditLog.find(e => e.id === auditId);
+  if (!entry) return { status: 404, error: 'Audit entry not found' };
+  if (entry.verdict !== 'BLOCKED') return { status: 409, error: `Entry is ${entry.verdict}, only BLOCKED proposals can be overridden` };
+  if (!activeGames[entry.gameId]) return { status: 409, error: 'Game is no longer active' };
+  
+  const override = { at: new Date().toISOString(), reason: reason || 'Overridden by analyst' };
+  const game = commitVerifiedMove(entry.gameId, entry.blue, entry.headlines, {
+    source: 'OVERRIDE',
+    redVerdict: { ...entry.red, overridden: true },
+    auditId
+  });
+  
+  entry.verdict = 'OVERRIDDEN';
+  entry.override = override;
+  recordEvent('audit_override', { auditId, override });
+  broadcastGameTheoryUpdate();
+  
+  console.log(`🔓 Red Team block overridden: ${entry.title} - ${entry.blue.action}`);
+  return { entry, game };
+}
+
+// Supervised mode - verified AI updates wait for an analyst instead of hitting the board.
+// Global switch here, per-game switch is the game's `supervised` flag.
+// SUPERVISED_MODE is the default for a fresh desk; after that the saved switch wins.
+const gameSupervision = { global: process.env.SUPERVISED_MODE === 'true' };
+let pendingGameUpdates = [];
+const MAX_PENDING_UPDATES = 50;  // Oldest proposals fall off when the desk is away
+
+function isGameSupervised(gameId) {
+  return gameSupervision.global || activeGames[gameId]?.supervised === true;
+}
+
+function broadcastPendingUpdate(action, update) {
+  broadcast({
+    type: 'pending_game_update',
+    data: { action, update, queue: pendingGameUpdates }
+  });
+}
+
+function sameHeadlines(a, b) {
+  const sorted = [...b].sort();
+  return a.length === b.length && [...a].sort().every((h, i) => h === sorted[i]);
+}
+
+// An untouched proposal for the same game and headlines is already waiting - no need to ask again
+function findDuplicatePendingUpdate(gameId, relevantHeadlines) {
+  return pendingGameUpdates.find(u => u.gameId === gameId && sameHeadlines(u.headlines, relevantHeadlines)) || null;
+}
+
+// Take an update out of the queue without a decision (superseded or over the cap)
+function dropPendingGameUpdate(update, reason) {
+  pendingGameUpdates = pendingGameUpdates.filter(u => u.id !== update.id);
+  recordEvent('pending_update_resolved', { updateId: update.id, reason });
+  broadcastPendingUpdate('dropped', { ...update, decision: 'dropped', reason, resolvedAt: new Date().toISOString() });
+}
+
+// Park a Red-approved proposal for analyst review. One proposal per game: a newer one
+// replaces an unedited older one, but never throws away an analyst's edits.
+function queuePendingGameUpdate(gameId, blueResult, relevantHeadlines, { redVerdict, auditId }) {
+  const duplicate = findDuplicatePendingUpdate(gameId, relevantHeadlines);
+  if (duplicate) return duplicate;
+  
+  const existing = pendingGameUpdates.find(u => u.gameId === gameId);
+  if (existing?.edited) {
+    console.log(`⏸️ Supervised: ${existing.title} already has an edited update awaiting review - new proposal skipped`);
+    return existing;
+  }
+  if (existing) dropPendingGameUpdate(existing, 'superseded');
+  
+  const update = {
+    id: `pending_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    gameId,
+    title: activeGames[gameId]?.title || gameId,
+    createdAt: new Date().toISOString(),
+    proposal: blueResult,
+    headlines: relevantHeadlines,
+    redVerdict,
+    auditId,
+    edited: false
+  };
+  
+  pendingGameUpdates.push(update);
+  recordEvent('pending_update_added', { update });
+  broadcastPendingUpdate('added', update);
+  
+  while (pendingGameUpdates.length > MAX_PENDING_UPDATES) {
+    const oldest = pendingGameUpdates[0];
+    console.warn(`⚠️ Supervised queue full - dropping oldest update (${oldest.title})`);
+    dropPendingGameUpdate(oldest, 'queue_full');
+  }
+  
+  console.log(`⏸️ Supervised: ${update.title} update queued for analyst review (${blueResult.action})`);
+  return update;
+}
+
+// Resolve a pending update. accept commits it (with any edits applied), reject drops it.
+function resolvePendingGameUpdate(updateId, decision, { edits = {}, reason } = {}) {
+  const update = pendingGameUpdates.find(u => u.id === updateId);
+  if (!update) return { status: 404, error: 'Pending update not found' };
+  if (decision === 'accept' && !activeGames[update.gameId]) {
+    return { status: 409, error: 'Game is no longer active - reject this update instead' };
+  }
+  
+  const proposal = { ...update.proposal, ...edits };
+  const edited = update.edited || Object.keys(edits).length > 0;
+  pendingGameUpdates = pendingGameUpdates.filter(u => u.id !== updateId);
+  recordEvent('pending_update_resolved', { updateId });
+  
+  let game = null;
+  if (decision === 'accept') {
+    game = commitVerifiedMove(update.gameId, proposal, update.headlines, {
+      source: edited ? 'SUPERVISED_EDITED' : 'SUPERVISED',
+      redVerdict: update.redVerdict,
+      auditId: update.auditId
+    });
+    broadcastGameTheoryUpdate();
+  } else {
+    console.log(`🗑️ Supervised: ${update.title} update rejected${reason ? ` - ${reason}` : ''}`);
+  }
+  
+  const resolved = { ...update, proposal, edited, decision, reason: reason || null, resolvedAt: new Date().toISOString() };
+  broadcastPendingUpdate(decision === 'accept' ? 'accepted' : 'rejected', resolved);
+  return { update: resolved, game };
+}
+
+// Scenario trees - candidate next moves with probabilities, nudged by headline evidence.
+// The live tree sits on the game (game.scenarios); every change is kept in scenarioHistory.
+let scenarioHistory = {};
+let scenarioEvidenceSeen = {};            // gameId -> headlines already counted as evidence
+const SCENARIO_EVIDENCE_FACTOR = 1.5;     // Likelihood ratio per supporting/contradicting headline
+const SCENARIO_MIN_PROBABILITY = 0.01;    // Keep every branch alive so evidence can revive it
+const MAX_SCENARIO_SEEN = 100;
+
+function isValidScenarioTree(v) {
+  if (!v || typeof v !== 'object' || !Array.isArray(v.branches)) return false;
+  if (v.branches.length < 2 || v.branches.length > 6) return false;
+  
+  const keywordsOk = (list) => list === undefined || isStringList(list, 0, 20);
+  return v.branches.every(b => b && isNonEmptyString(b.label) && b.label.length <= 120 &&
+    Number.isFinite(b.probability) && b.probability >= 0 && keywordsOk(b.support) && keywordsOk(b.against)) &&
+    v.branches.reduce((sum, b) => sum + b.probability, 0) > 0;
+}
+
+// Normalize a tree: slug ids, probabilities summing to 1, lowercase evidence keywords
+function buildScenarioTree(v, source) {
+  const total = v.branches.reduce((sum, b) => sum + b.probability, 0);
+  const used = new Set();
+  const branches = v.branches.map(b => {
+    let id = b.label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 30) || 'branch';
+    while (used.has(id)) id += '_';
+    used.add(id);
+    return {
+      id,
+      label: b.label.trim(),
+      probability: b.probability / total,
+      support: (b.support || []).map(k => k.trim().toLowerCase()),
+      against: (b.against || []).map(k => k.trim().toLowerCase())
+    };
+  });
+  return { branches, source, updatedAt: new Date().toISOString() };
+}
+
+const roundProbability = (p) => Math.round(p * 1000) / 1000;
+
+// Store a tree change on the game's history (and the journal)
+function recordScenarioChange(gameId, scenarios, { reason, source, evidence = [] }) {
+  if (!scenarioHistory[gameId]) scenarioHistory[gameId] = [];
+  const entry = {
+    timestamp: scenarios?.updatedAt || new Date().toISOString(),
+    reason,
+    source,
+    probabilities: Object.fromEntries((scenarios?.branches || []).map(b => [b.id, roundProbability(b.probability)])),
+    labels: Object.fromEntries((scenarios?.branches || []).map(b => [b.id, b.label])),
+    evidence
+  };
+  scenarioHistory[gameId].push(entry);
+  recordEvent('scenario_update', { gameId, scenarios, entry, seen: scenarioEvidenceSeen[gameId] || [] });
+  return entry;
+}
+
+// Which way a headline points for a branch: +1 support, -1 against, 0 neither
+function scenarioEvidenceDirection(branch, text) {
+  const supports = branch.support.some(kw => termMatches(text, kw));
+  const contradicts = branch.against.some(kw => termMatches(text, kw));
+  return supports === contradicts ? 0 : (supports ? 1 : -1);
+}
+
+// Bayesian-style update: each new headline scales a branch's odds by the evidence factor.
+// Returns the history entry, or null if the odds didn't move (callers broadcast).
+function updateScenarioTree(gameId, headlines) {
+  const game = activeGames[gameId];
+  if (!game?.scenarios?.branches) return null;
+  
+  const seen = new Set(scenarioEvidenceSeen[gameId] || []);
+  const fresh = headlines.filter(h => h && !seen.has(h.toLowerCase()));
+  if (fresh.length === 0) return null;
+  
+  const weights = game.scenarios.branches.map(b => b.probability);
+  const evidence = [];
+  for (const headline of fresh) {
+    const text = headline.toLowerCase();
+    seen.add(text);
+    game.scenarios.branches.forEach((branch, i) => {
+      const direction = scenarioEvidenceDirection(branch, text);
+      if (direction === 0) return;
+      weights[i] *= direction > 0 ? SCENARIO_EVIDENCE_FACTOR : 1 / SCENARIO_EVIDENCE_FACTOR;
+      evidence.push({ headline, branchId: branch.id, direction: direction > 0 ? 'SUPPORT' : 'AGAINST' });
+    });
+  }
+  scenarioEvidenceSeen[gameId] = [...seen].slice(-MAX_SCENARIO_SEEN);
+  if (evidence.length === 0) return null;
+  
+  // Renormalize, floor, renormalize again so the floor doesn't break the sum
+  let total = weights.reduce((a, b) => a + b, 0);
+  const floored = weights.map(w => Math.max(SCENARIO_MIN_PROBABILITY, w / total));
+  total = floored.reduce((a, b) => a + b, 0);
+  
+  game.scenarios = {
+    ...game.scenarios,
+    branches: game.scenarios.branches.map((b, i) => ({ ...b, probability: floored[i] / total })),
+    updatedAt: new Date().toISOString()
+  };
+  const entry = recordScenarioChange(gameId, game.scenarios, { reason: 'EVIDENCE', source: 'ENGINE', evidence });
+  console.log(`🌳 ${game.title}: scenario odds updated from ${evidence.length} evidence hits`);
+  return entry;
+}
+
+// Function to update a specific game with Red Team Verification
+async function updateGameWithAI(gameId, relevantHeadlines) {
+  const game = activeGames[gameId];
+  if (!game || relevantHeadlines.length === 0) return null;
+
+  if (isGameSupervised(gameId) && findDuplicatePendingUpdate(gameId, relevantHeadlines)) {
+    console.log(`⏸️ Supervised: ${game.title} already awaiting review for these headlines - skipping AI run`);
+    return null;
+  }
+
+  try {
+    const proposedAt = Date.now();
+    
+    // --- STEP 1: BLUE TEAM ANALYSIS (The Proposer) ---
+    const bluePrompt = renderPrompt('game_blue_team', {
+      title: game.title,
+      state: JSON.stringify(game, null, 2),
+      headlines: relevantHeadlines.map(h => `- ${h}`).join('\n')
+    });
+
+    const blueResp = await generateStructured(bluePrompt);
+    const blueResult = blueResp.data;
+    
+    if (!blueResult.newMove) return null;
+
+    // --- STEP 2: RED TEAM CHALLENGE (The Verifier) ---
+    const redPrompt = renderPrompt('game_red_team', {
+      player: blueResult.player,
+      action: blueResult.action,
+      title: game.title,
+      headlines: relevantHeadlines.map(h => `- ${h}`).join('\n')
+    });
+
+    // A verdict that stays unreadable after repair counts as a block - the proposal is still audited
+    let redResp;
+    try {
+      redResp = await generateStructured(redPrompt);
+    } catch (e) {
+      if (!e.validation) throw e;
+      redResp = { data: { verified: false, reason: 'No readable verdict from Red Team' }, provider: null };
+    }
+    const redResult = redResp.data;
+    
+    const audit = recordAuditEntry(gameId, {
+      blue: blueResult,
+      red: { verified: !!redResult.verified, reason: redResult.reason || null },
+      headlines: relevantHeadlines,
+      proposedAt: new Date(proposedAt).toISOString(),
+      prompts: { blue: bluePrompt.ref, red: redPrompt.ref },
+      models: { blue: `${blueResp.provider}:${blueResp.model}`, red: redResp.provider ? `${redResp.provider}:${redResp.model}` : null }
+    });
+
+    if (!redResult.verified) {
+      console.log(`RED TEAM BLOCKED: ${game.title} update rejected. Reason: ${redResult.reason || 'Unverified'}`);
+      return null;
+    }
+
+    // --- STEP 3: COMMIT (Only if Red Team Approves) ---
+    const redVerdict = { verified: true, reason: redResult.reason || null };
+    if (isGameSupervised(gameId)) {
+      queuePendingGameUpdate(gameId, blueResult, relevantHeadlines, { redVerdict, auditId: audit.id });
+      return null;
     }
     
-    return activeGames[gameId];
+    return commitVerifiedMove(gameId, blueResult, relevantHeadlines, {
+      source: 'AI',
+      redVerdict,
+      auditId: audit.id
+    });
   } catch (error) {
     console.error(`Game theory update error for ${gameId}:`, error.message);
     return null;
   }
 }
 
+// Apply a Blue Team proposal to the board: AI commits after Red approval, and analyst
+// overrides of blocked proposals
+function commitVerifiedMove(gameId, blueResult, relevantHeadlines, { source, redVerdict, auditId }) {
+  const game = activeGames[gameId];
+  const moveDate = new Date().toISOString().split('T')[0];
+  const proposedTree = { branches: blueResult.scenarios };
+  const scenarios = isValidScenarioTree(proposedTree) ? buildScenarioTree(proposedTree, source) : game.scenarios;
+  activeGames[gameId] = {
+    ...game,
+    currentPhase: blueResult.newPhase || game.currentPhase,
+    phaseColor: blueResult.phaseColor || game.phaseColor,
+    lastMove: {
+      player: blueResult.player,
+      action: blueResult.action,
+      type: blueResult.type,
+      date: moveDate
+    },
+    equilibriumStatus: blueResult.equilibriumStatus || game.equilibriumStatus,
+    statusColor: blueResult.statusColor || game.statusColor,
+    nextLikelyMove: blueResult.nextLikelyMove || game.nextLikelyMove,
+    proxies: blueResult.proxies || game.proxies || [],
+    resource: blueResult.resource || game.resource || 'NONE',
+    escalationLevel: blueResult.escalationLevel || game.escalationLevel || 1,
+    scenarios
+  };
+  if (scenarios !== game.scenarios) {
+    recordScenarioChange(gameId, scenarios, { reason: 'MOVE', source });
+  }
+  recordEscalationChange(gameId, game.escalationLevel, activeGames[gameId], {
+    source,
+    evidence: {
+      headlines: relevantHeadlines,
+      move: `${blueResult.player}: ${blueResult.action}`,
+      phase: activeGames[gameId].currentPhase
+    }
+  });
+  recordEvent('game_commit', { gameId, game: activeGames[gameId] });
+  
+  recordGameMove(gameId, {
+    player: blueResult.player,
+    action: blueResult.action,
+    type: blueResult.type,
+    date: moveDate,
+    source,
+    auditId,
+    phaseBefore: game.currentPhase,
+    phaseAfter: activeGames[gameId].currentPhase,
+    escalationBefore: game.escalationLevel,
+    escalationAfter: activeGames[gameId].escalationLevel,
+    headlines: relevantHeadlines,
+    blueVerdict: blueResult,
+    redVerdict
+  });
+  
+  console.log(`VERIFIED UPDATE: ${game.title} - New ${blueResult.type} move by ${blueResult.player} (${source})`);
+  
+  // Check if this update indicates resolution - could trigger auto-archive
+  const newPhase = (blueResult.newPhase || '').toUpperCase();
+  if (ARCHIVE_CONFIG.resolutionPhases.some(p => newPhase.includes(p))) {
+    if (!stableStartDates[gameId]) {
+      stableStartDates[gameId] = new Date();
+      console.log(`${game.title} entered stable phase - tracking for potential archive`);
+    }
+  }
+  
+  return activeGames[gameId];
+}
+
 // Check recent news against all active games
 async function runGameTheoryEngine() {
   console.log('♟️ Game Theory Engine scanning for strategic moves...');
   
-  // Get recent headlines from cached cards
-  const recentHeadlines = recentCards
-    .slice(0, 30)
-    .map(card => card.headline?.toLowerCase() || '');
-  
   let updatesFound = 0;
   
-  for (const [gameId, game] of Object.entries(activeGames)) {
-    // Find headlines matching this game's keywords
-    const relevantHeadlines = recentCards
-      .slice(0, 30)
-      .filter(card => {
-        const text = (card.headline + ' ' + (card.implications || []).join(' ')).toLowerCase();
-        return game.keywords.some(kw => text.includes(kw));
-      })
-      .map(card => card.headline);
-    
+  // Find headlines matching each game, strongest matches first
+  const matches = Object.entries(activeGames)
+    .map(([gameId, game]) => [gameId, game, matchCardsToGame(game, recentCards.slice(0, 30))]);
+  
+  // Headlines are evidence for/against the game's scenario branches. The new odds go
+  // out now rather than after the AI pass below, which can take minutes.
+  const scenarioUpdates = matches
+    .filter(([gameId, , relevantHeadlines]) => relevantHeadlines.length > 0 && updateScenarioTree(gameId, relevantHeadlines))
+    .length;
+  if (scenarioUpdates > 0) broadcastGameTheoryUpdate();
+  
+  for (const [gameId, game, relevantHeadlines] of matches) {
     if (relevantHeadlines.length > 0) {
       // Check for peace/resolution keywords in headlines - could trigger auto-archive
       if (checkForResolution(gameId, relevantHeadlines)) {
@@ -1209,7 +2793,7 @@ async function runGameTheoryEngine() {
   
   // Update cache
   cachedGameTheoryData = {
-    games: activeGames,
+    games: gamesWithGeo(activeGames),
     lastUpdate: new Date().toISOString()
   };
   
@@ -1219,7 +2803,7 @@ async function runGameTheoryEngine() {
     data: cachedGameTheoryData
   });
   
-  console.log(`♟️ Game Theory Engine complete: ${updatesFound} games updated`);
+  console.log(`♟️ Game Theory Engine complete: ${updatesFound} games updated, ${scenarioUpdates} scenario trees moved`);
 }
 
 // Function to get current market snapshot for AI context
@@ -1265,6 +2849,21 @@ function isValidTick(newPrice, oldPrice) {
   return true;
 }
 
+// Snapshot keys updateMarketSnapshot writes (plus _pct twins); exposure baskets are checked against it
+const MARKET_SNAPSHOT_KEYS = [
+  'spx', 'nasdaq', 'dow', 'vix', 'us30y', 'us10y', 'us5y', 'us2y', 'dxy', 'eurusd', 'gbpusd',
+  'usdjpy', 'usdchf', 'usdcnh', 'usdkrw', 'gold', 'silver', 'copper', 'platinum', 'palladium',
+  'wti', 'brent', 'natgas', 'gasoline', 'heatingoil', 'ura', 'xle', 'soymeal', 'soyoil', 'wheat',
+  'corn', 'soybeans', 'coffee', 'sugar', 'cocoa', 'cotton', 'oj', 'cattle', 'hogs', 'oats', 'rice',
+  'lumber', 'feedercattle', 'audusd', 'usdcad', 'usdmxn', 'usdbrl', 'nzdusd', 'eurjpy', 'gbpjpy',
+  'eurgbp', 'usdsgd', 'usdhkd', 'eurchf', 'chfjpy', 'usdils', 'usdpln', 'usdnok', 'cadjpy',
+  'audjpy', 'audnzd', 'euraud', 'usdzar', 'usdtry', 'usdinr', 'aluminum', 'zinc', 'nickel', 'tsm',
+  'eth', 'ita', 'coal', 'icln', 'btc', 'nikkei', 'hyg', 'lqd', 'tlt', 'uup', 'fxy', 'ewj', 'fxi',
+  'eem', 'xlf', 'russell', 'rsp', 'xli', 'xlb', 'xlk', 'xlc', 'xlu', 'xlp', 'xly', 'xlv', 'xlre',
+  'xme', 'kre', 'smh', 'shy', 'bunl', 'jgbd', 'emb', 'cbon', 'bwx', 'csi300', 'hsi', 'dax', 'ftse',
+  'nifty', 'taiex', 'kospi'
+];
+
 // Update market snapshot cache (called when market data is fetched)
 function updateMarketSnapshot(marketData) {
   const snapshot = {};
@@ -1409,8 +3008,339 @@ function updateMarketSnapshot(marketData) {
     lastUpdate: Date.now(),
     data: snapshot
   };
+  
+  recordMarketHistory(snapshot, cachedMarketSnapshot.lastUpdate);
+}
+
+// ============================================================================
+// MARKET HISTORY STORE - Time-series of every snapshot key
+// ============================================================================
+// Append-only files under market_history/:
+//   ticks-YYYY-MM-DD.jsonl    raw snapshot per tick (short retention)
+//   bars-1m-YYYY-MM-DD.jsonl  1-minute OHLC bars for every key
+//   bars-1h-YYYY-MM.jsonl     hourly bars
+//   bars-1d.jsonl             daily bars
+// 5m bars are rolled up from 1m bars at query time.
+
+const MARKET_HISTORY_DIR = path.join(__dirname, 'market_history');
+const HISTORY_RAW_RETENTION_DAYS = 3;
+const HISTORY_1M_RETENTION_DAYS = 30;
+
+const HISTORY_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Stored bar tiers -> file each finished bucket is appended to
+const HISTORY_TIERS = {
+  '1m': t => `bars-1m-${new Date(t).toISOString().slice(0, 10)}.jsonl`,
+  '1h': t => `bars-1h-${new Date(t).toISOString().slice(0, 7)}.jsonl`,
+  '1d': () => 'bars-1d.jsonl'
+};
+
+// In-progress bucket per tier: { t: bucketStart, b: { key: [open, high, low, close] } }
+const openHistoryBars = {};
+
+function appendHistoryLine(file, record) {
+  try {
+    if (!fs.existsSync(MARKET_HISTORY_DIR)) fs.mkdirSync(MARKET_HISTORY_DIR, { recursive: true });
+    fs.appendFileSync(path.join(MARKET_HISTORY_DIR, file), JSON.stringify(record) + '\n');
+  } catch (e) {
+    console.error('[HISTORY] Write failed:', e.message);
+  }
+}
+
+function readHistoryFile(file) {
+  const full = path.join(MARKET_HISTORY_DIR, file);
+  if (!fs.existsSync(full)) return [];
+  
+  const records = [];
+  for (const line of fs.readFileSync(full, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // Torn line from a crash - skip
+    }
+  }
+  return records;
+}
+
+// History files with the given prefix whose date suffix falls inside [fromLabel, toLabel]
+function listHistoryFiles(prefix, fromLabel, toLabel) {
+  if (!fs.existsSync(MARKET_HISTORY_DIR)) return [];
+  return fs.readdirSync(MARKET_HISTORY_DIR)
+    .filter(f => f.startsWith(prefix) && f.endsWith('.jsonl'))
+    .filter(f => {
+      const label = f.slice(prefix.length, -'.jsonl'.length);
+      return label >= fromLabel && label <= toLabel;
+    })
+    .sort();
+}
+
+// Record one snapshot tick: raw line plus a roll into every bar tier
+function recordMarketHistory(snapshot, ts = Date.now()) {
+  const values = {};
+  for (const [key, val] of Object.entries(snapshot || {})) {
+    if (typeof val === 'number' && isFinite(val)) values[key] = val;
+  }
+  if (Object.keys(values).length === 0) return;
+  
+  appendHistoryLine(`ticks-${new Date(ts).toISOString().slice(0, 10)}.jsonl`, { t: ts, d: values });
+  
+  for (const [tier, fileFor] of Object.entries(HISTORY_TIERS)) {
+    const size = HISTORY_INTERVALS[tier];
+    const bucket = Math.floor(ts / size) * size;
+    
+    let open = openHistoryBars[tier];
+    if (open && open.t !== bucket) {
+      appendHistoryLine(fileFor(open.t), open);
+      open = null;
+    }
+    if (!open) open = openHistoryBars[tier] = { t: bucket, b: {} };
+    
+    for (const [key, val] of Object.entries(values)) {
+      const bar = open.b[key];
+      if (!bar) {
+        open.b[key] = [val, val, val, val];
+      } else {
+        bar[1] = Math.max(bar[1], val);
+        bar[2] = Math.min(bar[2], val);
+        bar[3] = val;
+      }
+    }
+  }
+}
+
+// Write out in-progress buckets (called on shutdown so partial bars aren't lost)
+function flushMarketHistory() {
+  for (const [tier, fileFor] of Object.entries(HISTORY_TIERS)) {
+    const open = openHistoryBars[tier];
+    if (open) appendHistoryLine(fileFor(open.t), open);
+    delete openHistoryBars[tier];
+  }
+}
+
+// Read history for one snapshot key.
+// interval: 'raw' (every tick) or one of HISTORY_INTERVALS. Returns [{t, v}] or [{t, o, h, l, c}].
+// Shared read path for the API and the quant/beam/strategic engines.
+function getMarketHistory(key, { from, to = Date.now(), interval = '5m' } = {}) {
+  if (from === undefined) from = to - HISTORY_INTERVALS['1d'];
+  const day = t => new Date(t).toISOString().slice(0, 10);
+  
+  if (interval === 'raw') {
+    return listHistoryFiles('ticks-', day(from), day(to))
+      .flatMap(readHistoryFile)
+      .filter(r => r.t >= from && r.t <= to && r.d?.[key] !== undefined)
+      .map(r => ({ t: r.t, v: r.d[key] }));
+  }
+  
+  const size = HISTORY_INTERVALS[interval];
+  if (!size) throw new Error(`Unknown interval: ${interval}`);
+  
+  // 5m is rolled up from the 1m tier; every other interval has its own tier
+  const tier = interval === '5m' ? '1m' : interval;
+  let records;
+  if (tier === '1m') records = listHistoryFiles('bars-1m-', day(from), day(to)).flatMap(readHistoryFile);
+  else if (tier === '1h') records = listHistoryFiles('bars-1h-', day(from).slice(0, 7), day(to).slice(0, 7)).flatMap(readHistoryFile);
+  else records = readHistoryFile('bars-1d.jsonl');
+  if (openHistoryBars[tier]) records.push(openHistoryBars[tier]);
+  
+  // Merge into buckets (also folds duplicate buckets written either side of a restart)
+  const buckets = new Map();
+  records
+    .filter(r => r.b?.[key] && r.t + HISTORY_INTERVALS[tier] > from && r.t <= to)
+    .sort((a, b) => a.t - b.t)
+    .forEach(r => {
+      const [o, h, l, c] = r.b[key];
+      const t = Math.floor(r.t / size) * size;
+      const bar = buckets.get(t);
+      if (!bar) {
+        buckets.set(t, { t, o, h, l, c });
+      } else {
+        bar.h = Math.max(bar.h, h);
+        bar.l = Math.min(bar.l, l);
+        bar.c = c;
+      }
+    });
+  
+  return [...buckets.values()];
+}
+
+// Drop raw ticks and 1m bars past their retention (hourly/daily bars are kept)
+function pruneMarketHistory() {
+  const cutoff = (days) => new Date(Date.now() - days * HISTORY_INTERVALS['1d']).toISOString().slice(0, 10);
+  const stale = [
+    ...listHistoryFiles('ticks-', '0000', cutoff(HISTORY_RAW_RETENTION_DAYS)),
+    ...listHistoryFiles('bars-1m-', '0000', cutoff(HISTORY_1M_RETENTION_DAYS))
+  ];
+  stale.forEach(f => {
+    try {
+      fs.unlinkSync(path.join(MARKET_HISTORY_DIR, f));
+    } catch (e) {
+      console.error(`[HISTORY] Could not prune ${f}:`, e.message);
+    }
+  });
+  if (stale.length > 0) console.log(`[HISTORY] Pruned ${stale.length} expired history files`);
+}
+
+cron.schedule('30 2 * * *', pruneMarketHistory);
+
+// ============================================================================
+// MARKET EXPOSURE - Game baskets and move event studies
+// ============================================================================
+// A game's basket is the union of its resource basket and its proxies' baskets
+// (EXPOSURE_BASKETS, from game_catalogue.json). Each committed move snapshots the
+// basket; 15m/1h/1d later the reaction is measured against the key's normal move
+// over the same horizon, so the desk can see whether the market is pricing the game.
+
+const MAX_BASKET_KEYS = 8;
+const EXPOSURE_WINDOWS = {
+  '15m': { ms: 15 * 60 * 1000, tolerance: 10 * 60 * 1000 },
+  '1h': { ms: 60 * 60 * 1000, tolerance: 20 * 60 * 1000 },
+  '1d': { ms: 24 * 60 * 60 * 1000, tolerance: 3 * 60 * 60 * 1000 }
+};
+const EXPOSURE_PRICED_RATIO = 2;   // Basket moved 2x its normal range -> market is pricing the move
+const YIELD_KEYS = ['us2y', 'us5y', 'us10y', 'us30y'];
+
+function getGameBasket(game) {
+  const keys = [
+    ...(EXPOSURE_BASKETS.resources[game.resource] || []),
+    ...(game.proxies || []).flatMap(p => EXPOSURE_BASKETS.proxies[p] || [])
+  ];
+  return [...new Set(keys)].slice(0, MAX_BASKET_KEYS);
+}
+
+// Raw ticks in [from, to], read once per study window for every key
+function readTicksBetween(from, to) {
+  const day = t => new Date(t).toISOString().slice(0, 10);
+  return listHistoryFiles('ticks-', day(from), day(to))
+    .flatMap(readHistoryFile)
+    .filter(r => r.t >= from && r.t <= to)
+    .sort((a, b) => a.t - b.t);
+}
+
+// Yields move in basis points, everything else in percent
+function measureChange(key, from, to) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === 0) return null;
+  return YIELD_KEYS.includes(key) ? (to - from) * 100 : (to - from) / Math.abs(from) * 100;
+}
+
+// Median absolute change over non-overlapping steps of the same horizon before the move
+function normalMove(key, ts, windowMs) {
+  const isDaily = windowMs >= HISTORY_INTERVALS['1d'];
+  const bars = getMarketHistory(key, {
+    from: ts - (isDaily ? 20 : 1) * HISTORY_INTERVALS['1d'],
+    to: ts,
+    interval: isDaily ? '1d' : '5m'
+  });
+  const step = Math.max(1, Math.round(windowMs / (isDaily ? HISTORY_INTERVALS['1d'] : HISTORY_INTERVALS['5m'])));
+  
+  const moves = [];
+  for (let i = step; i < bars.length; i += step) {
+    const change = measureChange(key, bars[i - step].c, bars[i].c);
+    if (change !== null) moves.push(Math.abs(change));
+  }
+  if (moves.length < 3) return null;
+  moves.sort((a, b) => a - b);
+  return moves[Math.floor(moves.length / 2)];
+}
+
+// Called from recordGameMove: baseline prices at the moment the move is committed
+function startMoveStudy(game, ts) {
+  const basket = getGameBasket(game);
+  if (basket.length === 0) return null;
+  
+  const snapshot = cachedMarketSnapshot.data || {};
+  const fresh = cachedMarketSnapshot.lastUpdate && ts - cachedMarketSnapshot.lastUpdate < EXPOSURE_WINDOWS['15m'].tolerance;
+  // Fall back to the last recorded ticks when the live snapshot is stale
+  const recent = fresh ? [] : readTicksBetween(ts - EXPOSURE_WINDOWS['15m'].tolerance, ts).reverse();
+  const baseline = {};
+  basket.forEach(key => {
+    if (fresh && Number.isFinite(snapshot[key])) baseline[key] = snapshot[key];
+    else {
+      const tick = recent.find(r => Number.isFinite(r.d?.[key]));
+      if (tick) baseline[key] = tick.d[key];
+    }
+  });
+  
+  return {
+    basket,
+    baseline,
+    startedAt: ts,
+    windows: Object.fromEntries(Object.keys(EXPOSURE_WINDOWS).map(w => [w, null])),
+    status: Object.keys(baseline).length > 0 ? 'PENDING' : 'NO_DATA'
+  };
+}
+
+function evaluateStudyWindow(study, windowMs, tolerance) {
+  const target = study.startedAt + windowMs;
+  const ticks = readTicksBetween(target, target + tolerance);
+  
+  const keys = {};
+  const ratios = [];
+  for (const key of Object.keys(study.baseline)) {
+    const tick = ticks.find(r => Number.isFinite(r.d?.[key]));
+    if (!tick) continue;
+    
+    const change = measureChange(key, study.baseline[key], tick.d[key]);
+    const normal = normalMove(key, study.startedAt, windowMs);
+    const ratio = change !== null && normal ? Math.abs(change) / normal : null;
+    if (ratio !== null) ratios.push(ratio);
+    keys[key] = {
+      from: study.baseline[key],
+      to: tick.d[key],
+      change: change === null ? null : Math.round(change * 1000) / 1000,
+      unit: YIELD_KEYS.includes(key) ? 'bp' : '%',
+      normal: normal === null ? null : Math.round(normal * 1000) / 1000,
+      ratio: ratio === null ? null : Math.round(ratio * 100) / 100
+    };
+  }
+  
+  if (Object.keys(keys).length === 0) return { status: 'NO_DATA', measuredAt: new Date().toISOString() };
+  const avgRatio = ratios.length ? ratios.reduce((a, b) => a + b, 0) / ratios.length : null;
+  return {
+    status: 'DONE',
+    measuredAt: new Date().toISOString(),
+    keys,
+    avgRatio: avgRatio === null ? null : Math.round(avgRatio * 100) / 100,
+    priced: avgRatio !== null && avgRatio >= EXPOSURE_PRICED_RATIO
+  };
+}
+
+// Fill in every study window whose horizon (plus tolerance) has passed
+function evaluateMoveStudies() {
+  const now = Date.now();
+  let measured = 0;
+  
+  for (const [gameId, moves] of Object.entries(gameMoveLog)) {
+    for (const move of moves) {
+      const study = move.marketStudy;
+      if (!study || study.status !== 'PENDING') continue;
+      
+      let changed = false;
+      for (const [w, { ms, tolerance }] of Object.entries(EXPOSURE_WINDOWS)) {
+        if (study.windows[w] || now < study.startedAt + ms + tolerance) continue;
+        study.windows[w] = evaluateStudyWindow(study, ms, tolerance);
+        changed = true;
+        measured++;
+      }
+      if (!changed) continue;
+      
+      if (Object.values(study.windows).every(Boolean)) study.status = 'COMPLETE';
+      recordEvent('move_study', { gameId, moveId: move.id, marketStudy: study });
+      broadcast({ type: 'move_event_study', data: { gameId, moveId: move.id, marketStudy: study } });
+    }
+  }
+  
+  if (measured > 0) console.log(`📈 Move event studies: ${measured} windows measured`);
 }
 
+cron.schedule('*/5 * * * *', evaluateMoveStudies);
+
+
 // ============================================================================
 // GAME THEORY ENGINE (The "Strategic Brain")
 // ============================================================================
@@ -1482,6 +3412,20 @@ function detectGameTheoryPattern(text) {
   return null;
 }
 
+// ============================================================================
+// NASH SOLVER - Structured payoff matrices
+// ============================================================================
+// Matrices are solved by lib/nash-solver.js; each game carries the result as `nash`.
+
+// Recompute the solver output whenever a game's matrix is set or cleared
+function withEquilibrium(game) {
+  if (!game.payoffMatrix) {
+    const { nash, ...rest } = game;
+    return rest;
+  }
+  return { ...game, nash: solvePayoffMatrix(game.payoffMatrix) };
+}
+
 // ============================================================================
 // QUARTERLY REGIME ENGINE (4-PHASE: BULLISH/DISTRIBUTION/BEARISH/ACCUMULATION)
 // ============================================================================
@@ -3239,7 +5183,13 @@ app.use(express.static('public', {
     res.set('Expires', '0');
   }
 }));
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Room for desk import bundles
+
+// Admin routes - guarded by ADMIN_TOKEN when one is configured
+function requireAdmin(req, res, next) {
+  if (!CONFIG.ADMIN_TOKEN || req.get('x-admin-token') === CONFIG.ADMIN_TOKEN) return next();
+  res.status(401).json({ error: 'Admin token required' });
+}
 
 // Manual input endpoint
 app.post('/api/manual-input', (req, res) => {
@@ -3359,229 +5309,1113 @@ ${articleContent}
       console.log(`[HEADLINE] Using summary (${summary?.length || 0} chars) + article (${articleContent.length} chars) for analysis`);
     }
 
-    const prompt = `${specialistInstruction}
+    const prompt = renderPrompt('headline_analysis', {
+      role: specialistInstruction,
+      marketContext,
+      keyLevelsContext,
+      gameTheoryContext,
+      headline,
+      source: source || 'Unknown',
+      context: implications?.length ? `CONTEXT: ${implications.join(' | ')}` : '',
+      articleSection
+    });
+
+    const response = await generateText(prompt);
+
+    const analysis = response.text;
+    
+    if (!analysis) {
+      throw new Error('No analysis generated');
+    }
+
+    console.log(`[HEADLINE] Michael Every-style analysis generated (summary: ${!!summary}, article: ${!!articleContent})`);
+    res.json({ success: true, analysis, prompt: prompt.ref, intelPrompts: intel.prompts || null });
+  } catch (error) {
+    console.error('Gemini analysis error:', error.message);
+    res.status(500).json({ error: 'Failed to analyze headline. Please try again.' });
+  }
+});
+
+// Gemini AI game theory analysis endpoint
+app.post('/api/analyze-game', async (req, res) => {
+  try {
+    const { gameId } = req.body;
+    const game = activeGames[gameId] || archivedGames[gameId];
+    
+    if (!req.body.title && !game) {
+      return res.status(400).json({ error: 'Game title is required' });
+    }
+
+    // Ensure we have fresh market data for accuracy
+    const cacheAge = cachedMarketSnapshot.lastUpdate ? (Date.now() - cachedMarketSnapshot.lastUpdate) / 1000 : Infinity;
+    if (cacheAge > 60) {
+      try {
+        const freshMarketData = await fetchMarketData();
+        updateMarketSnapshot(freshMarketData);
+        console.log('📊 Refreshed market snapshot for game analysis');
+      } catch (e) {
+        console.warn('⚠️ Could not refresh market data for AI:', e.message);
+      }
+    }
+
+    const marketContext = getMarketSnapshotForAI();
+
+    const prompt = renderPrompt('game_analysis', gameAnalysisVariables(req.body, game, marketContext));
+
+    const response = await generateText(prompt);
+
+    const analysis = response.text;
+    
+    if (!analysis) {
+      throw new Error('No analysis generated');
+    }
+
+    // Structured solver output rides along when the game has a payoff matrix
+    res.json({ success: true, analysis, nash: activeGames[gameId]?.nash || null, prompt: prompt.ref });
+  } catch (error) {
+    console.error('Gemini game analysis error:', error.message);
+    res.status(500).json({ error: 'Failed to analyze conflict. Please try again.' });
+  }
+});
+
+// Ask the AI to draft a 2-player payoff matrix for a game; the local solver does the maths
+app.post('/api/games/:id/payoff-matrix/generate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const game = activeGames[id];
+    if (!game) return res.status(404).json({ error: 'Active game not found' });
+    
+    const prompt = renderPrompt('payoff_matrix', {
+      title: game.title,
+      players: game.players.join(' vs '),
+      currentPhase: game.currentPhase,
+      lastMove: `${game.lastMove?.player} - ${game.lastMove?.action} (${game.lastMove?.type})`,
+      equilibriumStatus: game.equilibriumStatus
+    });
+    
+    let matrix;
+    try {
+      ({ data: matrix } = await generateStructured(prompt, {
+        check: m => isValidPayoffMatrix(m) ? [] : ['$.payoffs: must be a grid of [row, column] number pairs, one row per row strategy and one cell per column strategy (2-6 unique strategies each)']
+      }));
+    } catch (e) {
+      if (!e.validation) throw e;
+      return res.status(502).json({ error: 'AI returned an unusable payoff matrix', errors: e.validation });
+    }
+    
+    const updated = {
+      ...game,
+      payoffMatrix: { ...GAME_FIELD_RULES.payoffMatrix.clean({ ...matrix, source: 'AI' }), prompt: prompt.ref },
+      lastEditedAt: new Date().toISOString()
+    };
+    const committed = commitAnalystGameEdit(id, game, updated);
+    console.log(`🧮 AI payoff matrix drafted for ${game.title}`);
+    res.json({ success: true, payoffMatrix: committed.payoffMatrix, nash: committed.nash, prompt: prompt.ref });
+  } catch (error) {
+    console.error('Payoff matrix generation error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Emerging Conflict API endpoints
+app.get('/api/emerging-conflicts', (req, res) => {
+  res.json({
+    success: true,
+    queue: emergingConflictQueue,
+    snoozed: snoozedProposals,
+    dismissals: dismissedFingerprints.map(({ proposalId, title, dismissedAt, expiresAt }) => ({ proposalId, title, dismissedAt, expiresAt })),
+    orphanCount: orphanHeadlineBuffer.length,
+    dailyProposals: dailyProposalCount
+  });
+});
+
+app.get('/api/emerging-conflicts/usage', (req, res) => {
+  const days = req.query.days === undefined ? 7 : Number(req.query.days);
+  if (!(Number.isInteger(days) && days >= 1 && days <= EMERGING_USAGE_DAYS)) {
+    return res.status(400).json({ error: `days must be an integer between 1 and ${EMERGING_USAGE_DAYS}` });
+  }
+  res.json({
+    success: true,
+    dailyCap: EMERGING_LIMITS.maxDailyProposals,
+    generatedToday: dailyProposalCount,
+    ...buildEmergingUsageReport(days)
+  });
+});
+
+// Runtime config for the emerging-conflict engine - limits, scan schedule, clustering, lifecycle
+app.get('/api/config/emerging', (req, res) => {
+  res.json({
+    success: true,
+    config: getEmergingConfig(),
+    ranges: EMERGING_CONFIG_FIELDS,
+    today: buildEmergingUsageReport(1).days[0]
+  });
+});
+
+app.put('/api/config/emerging', requireAdmin, (req, res) => {
+  try {
+    const { errors, changes, config } = validateEmergingConfigUpdate(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid emerging config', errors });
+    
+    if (changes.length > 0) {
+      applyEmergingConfig(config);
+      recordEvent('emerging_config', { config: getEmergingConfig(), changes });
+      console.log(`⚙️ Emerging config updated: ${changes.map(c => `${c.setting} ${c.from} → ${c.to}`).join(', ')}`);
+    }
+    res.json({ success: true, config: getEmergingConfig(), changes });
+  } catch (error) {
+    console.error('Emerging config update error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/emerging-conflicts/accept', (req, res) => {
+  try {
+    const { proposalId } = req.body;
+    if (!proposalId) {
+      return res.status(400).json({ error: 'proposalId is required' });
+    }
+    
+    const success = acceptEmergingConflict(proposalId);
+    if (success) {
+      res.json({ success: true, message: 'Conflict accepted and added to active games' });
+    } else {
+      res.status(404).json({ error: 'Proposal not found' });
+    }
+  } catch (error) {
+    console.error('Accept emerging conflict error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/emerging-conflicts/dismiss', (req, res) => {
+  try {
+    const { proposalId, rememberDays } = req.body;
+    if (!proposalId) {
+      return res.status(400).json({ error: 'proposalId is required' });
+    }
+    if (rememberDays !== undefined && !(Number.isFinite(rememberDays) && rememberDays >= 0 && rememberDays <= 90)) {
+      return res.status(400).json({ error: 'rememberDays must be a number between 0 and 90' });
+    }
+    
+    const success = dismissEmergingConflict(proposalId, rememberDays);
+    if (success) {
+      res.json({ success: true, message: 'Proposal dismissed' });
+    } else {
+      res.status(404).json({ error: 'Proposal not found' });
+    }
+  } catch (error) {
+    console.error('Dismiss emerging conflict error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/emerging-conflicts/snooze', (req, res) => {
+  try {
+    const { proposalId, hours = PROPOSAL_LIFECYCLE_CONFIG.defaultSnoozeHours } = req.body;
+    if (!proposalId) {
+      return res.status(400).json({ error: 'proposalId is required' });
+    }
+    if (!(Number.isFinite(hours) && hours > 0 && hours <= 24 * 14)) {
+      return res.status(400).json({ error: 'hours must be a number between 0 and 336' });
+    }
+    
+    const snoozedUntil = snoozeEmergingConflict(proposalId, hours);
+    if (snoozedUntil) {
+      res.json({ success: true, snoozedUntil: new Date(snoozedUntil).toISOString() });
+    } else {
+      res.status(404).json({ error: 'Proposal not found' });
+    }
+  } catch (error) {
+    console.error('Snooze emerging conflict error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-You're writing analysis for a geostrategic terminal used by macro traders. Your voice should echo Michael Every: wry, contrarian when warranted, connecting dots others miss between geopolitics, trade structures, and market plumbing.
+app.post('/api/emerging-conflicts/merge', (req, res) => {
+  try {
+    const { proposalId, gameId } = req.body;
+    if (!proposalId || !gameId) {
+      return res.status(400).json({ error: 'proposalId and gameId are required' });
+    }
+    
+    const result = mergeEmergingConflict(proposalId, gameId);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, gameId, addedKeywords: result.addedKeywords, game: result.game });
+  } catch (error) {
+    console.error('Merge emerging conflict error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-${marketContext}
-${keyLevelsContext}
-${gameTheoryContext}
-HEADLINE: "${headline}"
-SOURCE: ${source || 'Unknown'}
-${implications?.length ? `CONTEXT: ${implications.join(' | ')}` : ''}
-${articleSection}
+// Pair each ARCHIVED entry with the REEMERGED/RESTORED entry that ended it
+function buildArchiveCycles(entries) {
+  const cycles = [];
+  let open = null;
+  for (const e of entries) {
+    if (e.type === 'ARCHIVED') {
+      open = { cycle: e.cycle, archivedAt: e.timestamp, archiveReason: e.reason, endedAt: null, endedBy: null, headlines: [], archivedHours: null };
+      cycles.push(open);
+    } else if (open && (e.type === 'REEMERGED' || e.type === 'RESTORED')) {
+      open.endedAt = e.timestamp;
+      open.endedBy = e.type;
+      open.headlines = e.headlines || [];
+      open.explanation = e.explanation || null;
+      open.archivedHours = +((new Date(e.timestamp) - new Date(open.archivedAt)) / 3600000).toFixed(1);
+      open = null;
+    }
+  }
+  return cycles;
+}
 
-CRITICAL: If article content was provided, YOUR ANALYSIS MUST BE BASED ON WHAT THE ARTICLE ACTUALLY SAYS. Reference specific facts, quotes, and numbers from the article. Do NOT give generic analysis.
+// Archive browser. Filters: q (title/id), resource, proxy, reason, from, to (archivedAt); sort=archivedAt|cycles|title
+app.get('/api/games/archived', (req, res) => {
+  try {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    const q = req.query.q ? String(req.query.q).toLowerCase() : null;
+    const reason = req.query.reason ? String(req.query.reason).toLowerCase() : null;
+    
+    const games = Object.entries(archivedGames)
+      .filter(([id, game]) => {
+        const ts = new Date(game.archivedAt).getTime();
+        if (from !== undefined && ts < from) return false;
+        if (to !== undefined && ts > to) return false;
+        if (q && !id.toLowerCase().includes(q) && !(game.title || '').toLowerCase().includes(q)) return false;
+        if (req.query.resource && game.resource !== req.query.resource) return false;
+        if (req.query.proxy && !(game.proxies || []).includes(req.query.proxy)) return false;
+        return !reason || (game.archiveReason || '').toLowerCase().includes(reason);
+      })
+      .map(([id, game]) => {
+        const entries = archiveCycleLog[id] || [];
+        return {
+          id,
+          title: game.title,
+          resource: game.resource,
+          proxies: game.proxies || [],
+          escalationLevel: game.escalationLevel,
+          archivedAt: game.archivedAt,
+          archiveReason: game.archiveReason,
+          cycles: entries.filter(e => e.type === 'ARCHIVED').length,
+          reemergences: entries.filter(e => e.type === 'REEMERGED').length
+        };
+      });
+    
+    const sort = req.query.sort || 'archivedAt';
+    if (sort === 'cycles') games.sort((a, b) => b.cycles - a.cycles);
+    else if (sort === 'title') games.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    else games.sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+    
+    res.json({ success: true, count: games.length, games });
+  } catch (error) {
+    console.error('Archive browser error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-RULES:
-• Use LIVE DATA above as ground truth. Never invent prices.
-• Be DETAILED: provide thorough professional analysis (2-3 sentences per bullet)
-• Connect to broader themes: deglobalization, friend-shoring, dollar system stress, DragonBear dynamics
-• Apply game theory lens: Who are the players? What's their payoff matrix?
-• FORMATTING: Put **ticker symbols**, **asset names**, **prices**, and **support/resistance levels** in **bold**
-• NO EMOJIS - professional language only
+// Explanation of the last re-emergence pass: which headlines scored for which archived game
+app.get('/api/games/reemergence', (req, res) => {
+  res.json({
+    success: true,
+    config: { ...REEMERGENCE_CONFIG, keywords: REEMERGENCE_KEYWORDS },
+    lastCheck: lastReemergenceCheck
+  });
+});
 
-PROVIDE:
+// Full archive/re-emergence record for one game - also answers for games now active or deleted
+app.get('/api/games/archived/:id', (req, res) => {
+  const { id } = req.params;
+  const entries = archiveCycleLog[id] || [];
+  const game = archivedGames[id] || activeGames[id];
+  if (!game && entries.length === 0) return res.status(404).json({ error: 'Game not found' });
+  
+  res.json({
+    success: true,
+    gameId: id,
+    status: archivedGames[id] ? 'ARCHIVED' : (activeGames[id] ? 'ACTIVE' : 'REMOVED'),
+    game: game || null,
+    cycles: buildArchiveCycles(entries),
+    entries
+  });
+});
 
-**IMPACT**
-- Which assets move and why (2-3 detailed bullets with specific reasoning from the article)
+// Manual restore to the active board - also serves POST /api/games/:id/unarchive
+function restoreArchivedGame(req, res) {
+  const { id } = req.params;
+  if (!archivedGames[id]) return res.status(404).json({ error: 'Archived game not found' });
+  if (activeGames[id]) return res.status(409).json({ error: 'An active game already uses this id' });
+  
+  unarchiveConflict(id, req.body?.reason || 'Restored by analyst');
+  broadcastGameTheoryUpdate();
+  res.json({ success: true, game: activeGames[id] });
+}
 
-**TRADE**
-- Actionable positioning ideas with entry/exit logic (2-3 bullets)
+app.post('/api/games/archived/:id/restore', restoreArchivedGame);
 
-**2ND ORDER**
-- Knock-on effects most people will miss - this is where you connect the unexpected dots (2 bullets)
+// Permanent delete takes the game's moves, escalations and scenario history with it.
+// The cycle log (ending in DELETED) and the audit log stay as the record that it existed.
+function deleteArchivedGame(gameId) {
+  delete archivedGames[gameId];
+  delete gameMoveLog[gameId];
+  delete escalationLog[gameId];
+  delete scenarioHistory[gameId];
+  delete scenarioEvidenceSeen[gameId];
+}
 
-**KEY LEVELS** (ONLY include if QUANTITATIVE KEY LEVELS data was provided above AND the story directly impacts tradeable assets. SKIP this section entirely for non-market stories like local regulations, workplace culture, media disputes, sports, entertainment, or human interest stories.)
-- If applicable: Use QUANTITATIVE KEY LEVELS data (R1, S1, Q-Open, Regime) to identify specific levels
-- If applicable: Include distance from current price and regime context (2-3 bullets)
+app.delete('/api/games/archived/:id', requireAdmin, (req, res) => {
+  const { id } = req.params;
+  const game = archivedGames[id];
+  if (!game) return res.status(404).json({ error: 'Archived game not found' });
+  
+  recordArchiveCycle(id, 'DELETED', game, { reason: req.body?.reason || 'Deleted by admin' });
+  deleteArchivedGame(id);
+  recordEvent('game_deleted', { gameId: id });
+  broadcastGameTheoryUpdate();
+  console.log(`🗑️ Deleted archived game: ${game.title}`);
+  res.json({ success: true, deleted: id });
+});
 
-**TIMELINE**
-- When we'll know more, key dates/events ahead (1-2 bullets)
+// Market basket for a game and the event study of each of its moves
+app.get('/api/games/:id/exposure', (req, res) => {
+  const { id } = req.params;
+  const game = activeGames[id] || archivedGames[id];
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+  
+  const snapshot = cachedMarketSnapshot.data || {};
+  const basket = getGameBasket(game);
+  const studies = (gameMoveLog[id] || [])
+    .filter(m => m.marketStudy)
+    .map(m => ({ moveId: m.id, timestamp: m.timestamp, action: m.action, source: m.source, marketStudy: m.marketStudy }));
+  
+  res.json({
+    success: true,
+    gameId: id,
+    resource: game.resource,
+    proxies: game.proxies || [],
+    basket: basket.map(key => ({ key, last: snapshot[key] ?? null })),
+    studies
+  });
+});
 
-**GAME THEORY**
-- Identify the strategic game at play:
-  - Who are the players and what are their constraints?
-  - What game pattern? (Chicken, Prisoner's Dilemma, Coordination, Stag Hunt, Signaling)
-  - What's the equilibrium or likely next move?
-  - What would defection/surprise look like?`;
+// Full move history for one game (active or archived)
+app.get('/api/games/:id/history', (req, res) => {
+  const { id } = req.params;
+  const game = activeGames[id] || archivedGames[id];
+  const moves = gameMoveLog[id] || [];
+  
+  if (!game && moves.length === 0) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  const limit = parseInt(req.query.limit) || 0;
+  res.json({
+    success: true,
+    gameId: id,
+    title: game?.title || null,
+    status: activeGames[id] ? 'ACTIVE' : (archivedGames[id] ? 'ARCHIVED' : 'REMOVED'),
+    count: moves.length,
+    moves: limit > 0 ? moves.slice(-limit) : moves
+  });
+});
 
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+// Blue/Red audit trail with block-rate stats. Filters: gameId, verdict, from, to, limit
+app.get('/api/games/audit', (req, res) => {
+  try {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    const verdict = req.query.verdict ? String(req.query.verdict).toUpperCase() : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    
+    const inRange = gameAuditLog.filter(e => {
+      const ts = new Date(e.reviewedAt).getTime();
+      if (from !== undefined && ts < from) return false;
+      if (to !== undefined && ts > to) return false;
+      return !req.query.gameId || e.gameId === req.query.gameId;
     });
-
-    const analysis = response.candidates?.[0]?.content?.parts?.[0]?.text;
     
-    if (!analysis) {
-      throw new Error('No analysis generated');
+    // Stats cover the whole range; the verdict filter only narrows the entry list
+    const stats = { total: inRange.length, approved: 0, blocked: 0, overridden: 0, byGame: {} };
+    for (const e of inRange) {
+      stats[e.verdict.toLowerCase()]++;
+      const g = stats.byGame[e.gameId] || (stats.byGame[e.gameId] = { title: e.title, proposed: 0, blocked: 0, overridden: 0 });
+      g.proposed++;
+      if (e.verdict === 'BLOCKED') g.blocked++;
+      if (e.verdict === 'OVERRIDDEN') g.overridden++;
     }
-
-    console.log(`[HEADLINE] Michael Every-style analysis generated (summary: ${!!summary}, article: ${!!articleContent})`);
-    res.json({ success: true, analysis });
+    // Overrides were blocks the analyst disagreed with - they still count toward the block rate
+    stats.blockRate = stats.total > 0 ? +((stats.blocked + stats.overridden) / stats.total).toFixed(3) : 0;
+    
+    const entries = inRange
+      .filter(e => !verdict || e.verdict === verdict)
+      .slice(-limit)
+      .reverse();
+    
+    res.json({ success: true, stats, count: entries.length, entries });
   } catch (error) {
-    console.error('Gemini analysis error:', error.message);
-    res.status(500).json({ error: 'Failed to analyze headline. Please try again.' });
+    console.error('Audit log error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Gemini AI game theory analysis endpoint
-app.post('/api/analyze-game', async (req, res) => {
+// One-click override: commit a proposal the Red Team blocked
+app.post('/api/games/audit/:auditId/override', (req, res) => {
   try {
-    const { gameId, title, emoji, players, currentPhase, lastMove, equilibriumStatus, nextLikelyMove } = req.body;
-    
-    if (!title) {
-      return res.status(400).json({ error: 'Game title is required' });
-    }
+    const result = overrideBlockedProposal(req.params.auditId, req.body?.reason);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, entry: result.entry, game: result.game });
+  } catch (error) {
+    console.error('Audit override error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Ensure we have fresh market data for accuracy
-    const cacheAge = cachedMarketSnapshot.lastUpdate ? (Date.now() - cachedMarketSnapshot.lastUpdate) / 1000 : Infinity;
-    if (cacheAge > 60) {
-      try {
-        const freshMarketData = await fetchMarketData();
-        updateMarketSnapshot(freshMarketData);
-        console.log('📊 Refreshed market snapshot for game analysis');
-      } catch (e) {
-        console.warn('⚠️ Could not refresh market data for AI:', e.message);
-      }
-    }
+// Blue proposal fields an analyst may edit on a pending update, mapped to the game field rules
+const PENDING_EDIT_FIELDS = {
+  newPhase: 'currentPhase',
+  phaseColor: 'phaseColor',
+  equilibriumStatus: 'equilibriumStatus',
+  statusColor: 'statusColor',
+  nextLikelyMove: 'nextLikelyMove',
+  proxies: 'proxies',
+  resource: 'resource',
+  escalationLevel: 'escalationLevel'
+};
 
-    const marketContext = getMarketSnapshotForAI();
+function validatePendingEdit(input, proposal) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Body must be a JSON object'], edits: {} };
+  }
+  
+  const gameInput = {};
+  const unknown = [];
+  for (const [key, value] of Object.entries(input)) {
+    if (PENDING_EDIT_FIELDS[key]) gameInput[PENDING_EDIT_FIELDS[key]] = value;
+    else if (!['player', 'action', 'type'].includes(key)) unknown.push(key);
+  }
+  // The move itself is checked as one lastMove so partial edits keep the rest of the proposal
+  if (['player', 'action', 'type'].some(k => input[k] !== undefined)) {
+    gameInput.lastMove = {
+      player: input.player ?? proposal.player,
+      action: input.action ?? proposal.action,
+      type: input.type ?? proposal.type
+    };
+  }
+  
+  const { errors, value } = validateGameInput(gameInput, { partial: true });
+  if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  
+  const edits = {};
+  for (const [key, field] of Object.entries(PENDING_EDIT_FIELDS)) {
+    if (value[field] !== undefined) edits[key] = value[field];
+  }
+  if (value.lastMove) {
+    Object.assign(edits, { player: value.lastMove.player, action: value.lastMove.action, type: value.lastMove.type });
+  }
+  return { errors, edits };
+}
+
+// Supervised-mode review queue
+app.get('/api/games/pending', (req, res) => {
+  const queue = req.query.gameId ? pendingGameUpdates.filter(u => u.gameId === req.query.gameId) : pendingGameUpdates;
+  res.json({
+    success: true,
+    supervision: { global: gameSupervision.global },
+    count: queue.length,
+    queue
+  });
+});
 
-    const prompt = `ROLE: Senior Geopolitical Strategist & Game Theorist
-You are analyzing a live strategic conflict from the perspective of a hedge fund's political risk desk.
-
-${marketContext}
-
-CONFLICT: ${emoji} ${title}
-PLAYERS: ${players.join(' vs ')}
-CURRENT PHASE: ${currentPhase}
-EQUILIBRIUM STATUS: ${equilibriumStatus}
-LAST MOVE: ${lastMove.player} - ${lastMove.action} (${lastMove.type}) on ${lastMove.date}
-PREDICTED NEXT MOVE: ${nextLikelyMove}
-
-PROVIDE COMPREHENSIVE ANALYSIS:
-
-**STATECRAFT ANALYSIS**
-- What are each player's strategic objectives and constraints?
-- What instruments of national power are being deployed? (Diplomatic, Information, Military, Economic - DIME framework)
-- What are the red lines and escalation thresholds?
-(3-4 detailed bullets)
-
-**GAME THEORY FRAMEWORK**
-- What type of game is this? (Prisoner's Dilemma, Chicken, Coordination, Zero-Sum, Repeated Game, Signaling, Reputation)
-- What is the payoff matrix for each player?
-- What is the Nash equilibrium, if one exists?
-- Are there commitment devices or credible threats in play?
-- Is this a one-shot or iterated game? How does reputation affect strategy?
-(4-5 detailed bullets with strategic reasoning)
-
-**SOCIOECONOMIC IMPLICATIONS**
-- Who bears the costs? (Populations, industries, supply chains)
-- What are the distributional effects? (Winners vs losers domestically and internationally)
-- Impact on global trade flows, FDI, and capital allocation
-- Second-order effects on inflation, employment, consumer confidence
-(3-4 bullets)
-
-**GEOPOLITICAL RIPPLE EFFECTS**
-- How do other powers (China, EU, Russia, India, Gulf States) respond or reposition?
-- Alliance dynamics and coalition building
-- Precedent-setting for future conflicts
-- Impact on international institutions and norms
-(3-4 bullets)
-
-**MACRO MARKET HEADWINDS**
-- Which asset classes are most exposed? (Equities, Fixed Income, FX, Commodities)
-- Specific tickers and instruments to watch with current levels
-- Correlation shifts and potential contagion
-- Volatility regime implications (VIX, MOVE index)
-(3-4 bullets with specific prices/levels from live data above)
-
-**META HEADWINDS & WILDCARDS**
-- What could accelerate escalation or de-escalation?
-- Black swan scenarios and tail risks
-- Signaling misinterpretation risks
-- Timing considerations (elections, summits, seasonal factors)
-(3-4 bullets)
-
-**TRADING PLAYBOOK**
-- Specific hedges and positioning ideas
-- Entry/exit triggers and key levels
-- Timeframe for resolution or next inflection point
-(2-3 actionable bullets)
-
-RULES:
-• Use LIVE DATA above as ground truth. Never invent prices.
-• Be DETAILED and SPECIFIC - this is for institutional decision-making
-• FORMATTING: Put **ticker symbols**, **asset names**, **prices**, and **key levels** in **bold**
-• Think like a hedge fund risk committee briefing`;
-
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+// Edit a pending update in place (it stays queued until accepted or rejected)
+app.patch('/api/games/pending/:updateId', (req, res) => {
+  try {
+    const update = pendingGameUpdates.find(u => u.id === req.params.updateId);
+    if (!update) return res.status(404).json({ error: 'Pending update not found' });
+    
+    const { errors, edits } = validatePendingEdit(req.body, update.proposal);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid edit', details: errors });
+    
+    Object.assign(update, {
+      proposal: { ...update.proposal, ...edits },
+      edited: update.edited || Object.keys(edits).length > 0,
+      editedAt: new Date().toISOString()
     });
+    recordEvent('pending_update_edited', { update });
+    broadcastPendingUpdate('edited', update);
+    res.json({ success: true, update });
+  } catch (error) {
+    console.error('Edit pending update error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const analysis = response.candidates?.[0]?.content?.parts?.[0]?.text;
+// Accept commits to the live board; the body may carry last-minute edits
+app.post('/api/games/pending/:updateId/accept', (req, res) => {
+  try {
+    const update = pendingGameUpdates.find(u => u.id === req.params.updateId);
+    if (!update) return res.status(404).json({ error: 'Pending update not found' });
     
-    if (!analysis) {
-      throw new Error('No analysis generated');
-    }
+    const { errors, edits } = validatePendingEdit(req.body || {}, update.proposal);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid edit', details: errors });
+    
+    const result = resolvePendingGameUpdate(update.id, 'accept', { edits });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, update: result.update, game: result.game });
+  } catch (error) {
+    console.error('Accept pending update error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({ success: true, analysis });
+app.post('/api/games/pending/:updateId/reject', (req, res) => {
+  try {
+    const result = resolvePendingGameUpdate(req.params.updateId, 'reject', { reason: req.body?.reason });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, update: result.update });
   } catch (error) {
-    console.error('Gemini game analysis error:', error.message);
-    res.status(500).json({ error: 'Failed to analyze conflict. Please try again.' });
+    console.error('Reject pending update error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Emerging Conflict API endpoints
-app.get('/api/emerging-conflicts', (req, res) => {
+// Global supervised switch. Per-game supervision is PATCH /api/games/:id { supervised }
+app.get('/api/games/supervision', (req, res) => {
   res.json({
     success: true,
-    queue: emergingConflictQueue,
-    orphanCount: orphanHeadlineBuffer.length,
-    dailyProposals: dailyProposalCount
+    global: gameSupervision.global,
+    supervisedGames: Object.values(activeGames).filter(g => g.supervised === true).map(g => g.id)
   });
 });
 
-app.post('/api/emerging-conflicts/accept', (req, res) => {
-  try {
-    const { proposalId } = req.body;
-    if (!proposalId) {
-      return res.status(400).json({ error: 'proposalId is required' });
-    }
+app.put('/api/games/supervision', (req, res) => {
+  if (typeof req.body?.global !== 'boolean') {
+    return res.status(400).json({ error: 'global must be true or false' });
+  }
+  
+  gameSupervision.global = req.body.global;
+  recordEvent('supervision_set', { global: gameSupervision.global });
+  console.log(`⏸️ Supervised mode ${gameSupervision.global ? 'ON' : 'OFF'} for all games`);
+  res.json({ success: true, global: gameSupervision.global });
+});
+
+// Cross-game network: games linked to their sponsors (proxies) and contested resources,
+// plus game-game edges weighted by what they share (sponsors, resource, named players)
+function buildGameGraph({ includeArchived = true } = {}) {
+  const nodes = new Map();
+  const edges = [];
+  const games = [
+    ...Object.values(activeGames).map(g => ({ game: g, status: 'ACTIVE' })),
+    ...(includeArchived ? Object.values(archivedGames).map(g => ({ game: g, status: 'ARCHIVED' })) : [])
+  ];
+  
+  const addNode = (id, data) => {
+    if (!nodes.has(id)) nodes.set(id, { id, ...data, degree: 0 });
+    return nodes.get(id);
+  };
+  const link = (source, target, data) => {
+    edges.push({ source, target, ...data });
+    nodes.get(source).degree++;
+    nodes.get(target).degree++;
+  };
+  
+  for (const { game, status } of games) {
+    const gameNode = `game:${game.id}`;
+    addNode(gameNode, {
+      type: 'game',
+      label: game.title,
+      emoji: game.emoji,
+      status,
+      escalationLevel: Number(game.escalationLevel) || 1,
+      currentPhase: game.currentPhase
+    });
     
-    const success = acceptEmergingConflict(proposalId);
-    if (success) {
-      res.json({ success: true, message: 'Conflict accepted and added to active games' });
-    } else {
-      res.status(404).json({ error: 'Proposal not found' });
+    for (const code of game.proxies || []) {
+      addNode(`sponsor:${code}`, { type: 'sponsor', label: code });
+      link(gameNode, `sponsor:${code}`, { type: 'sponsor', weight: 1 });
+    }
+    if (game.resource && game.resource !== 'NONE') {
+      addNode(`resource:${game.resource}`, { type: 'resource', label: game.resource });
+      link(gameNode, `resource:${game.resource}`, { type: 'resource', weight: 1 });
     }
+  }
+  
+  // Game-game projection: one edge per pair that shares anything
+  const adjacency = {};
+  for (let i = 0; i < games.length; i++) {
+    for (let j = i + 1; j < games.length; j++) {
+      const a = games[i].game;
+      const b = games[j].game;
+      const sponsors = (a.proxies || []).filter(p => (b.proxies || []).includes(p));
+      const resource = a.resource && a.resource !== 'NONE' && a.resource === b.resource ? [a.resource] : [];
+      const playersB = (b.players || []).map(p => p.toLowerCase());
+      const players = (a.players || []).filter(p => playersB.includes(p.toLowerCase()));
+      
+      const weight = sponsors.length + resource.length + players.length;
+      if (weight === 0) continue;
+      
+      link(`game:${a.id}`, `game:${b.id}`, { type: 'shared', weight, via: { sponsors, resource, players } });
+      (adjacency[a.id] = adjacency[a.id] || []).push({ id: b.id, weight });
+      (adjacency[b.id] = adjacency[b.id] || []).push({ id: a.id, weight });
+    }
+  }
+  
+  // Degree centrality over the full graph, normalized to 0-1
+  const maxDegree = Math.max(1, nodes.size - 1);
+  nodes.forEach(n => { n.degreeCentrality = +(n.degree / maxDegree).toFixed(3); });
+  
+  // Eigenvector centrality on the game projection (power iteration)
+  let score = Object.fromEntries(games.map(({ game }) => [game.id, 1]));
+  for (let iter = 0; iter < 50; iter++) {
+    const next = {};
+    let norm = 0;
+    for (const { game } of games) {
+      next[game.id] = (adjacency[game.id] || []).reduce((sum, n) => sum + n.weight * score[n.id], 0);
+      norm += next[game.id] ** 2;
+    }
+    norm = Math.sqrt(norm) || 1;
+    Object.keys(next).forEach(id => { next[id] /= norm; });
+    score = next;
+  }
+  
+  // Contagion: how much active escalation sits next door, weighted by link strength.
+  // Only active neighbours spread; scaled 0-100 against the most exposed game.
+  const exposure = {};
+  for (const { game } of games) {
+    exposure[game.id] = (adjacency[game.id] || []).reduce((sum, n) => {
+      const neighbour = activeGames[n.id];
+      return neighbour ? sum + n.weight * (Number(neighbour.escalationLevel) || 1) / 5 : sum;
+    }, 0);
+  }
+  const maxExposure = Math.max(...Object.values(exposure), 0) || 1;
+  const maxScore = Math.max(...Object.values(score), 0) || 1;
+  for (const { game } of games) {
+    const node = nodes.get(`game:${game.id}`);
+    node.eigenCentrality = +(score[game.id] / maxScore).toFixed(3);
+    node.contagion = Math.round(exposure[game.id] / maxExposure * 100);
+  }
+  
+  // Sponsors and resources: active theatres touched, their average rung, and contagion as
+  // the escalation mass they are exposed to (scaled 0-100 against the most exposed hub)
+  const hubs = [...nodes.values()].filter(n => n.type !== 'game');
+  hubs.forEach(n => {
+    const theatres = edges
+      .filter(e => e.target === n.id)
+      .map(e => nodes.get(e.source))
+      .filter(g => g.status === 'ACTIVE');
+    n.theatres = theatres.length;
+    n.exposure = theatres.reduce((sum, g) => sum + g.escalationLevel / 5, 0);
+    n.avgEscalation = theatres.length ? +(theatres.reduce((sum, g) => sum + g.escalationLevel, 0) / theatres.length).toFixed(2) : 0;
+  });
+  const maxHubExposure = Math.max(...hubs.map(n => n.exposure), 0) || 1;
+  hubs.forEach(n => {
+    n.contagion = Math.round(n.exposure / maxHubExposure * 100);
+    delete n.exposure;
+  });
+  
+  return { nodes: [...nodes.values()], edges };
+}
+
+// Network view of the board - ?includeArchived=false drops archived theatres
+app.get('/api/games/graph', (req, res) => {
+  try {
+    const graph = buildGameGraph({ includeArchived: req.query.includeArchived !== 'false' });
+    const sponsors = graph.nodes
+      .filter(n => n.type === 'sponsor')
+      .sort((a, b) => b.theatres - a.theatres)
+      .slice(0, 5)
+      .map(n => ({ id: n.id, label: n.label, theatres: n.theatres, avgEscalation: n.avgEscalation }));
+    
+    res.json({
+      success: true,
+      generatedAt: new Date().toISOString(),
+      counts: { nodes: graph.nodes.length, edges: graph.edges.length },
+      topSponsors: sponsors,
+      ...graph
+    });
   } catch (error) {
-    console.error('Accept emerging conflict error:', error.message);
+    console.error('Game graph error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/emerging-conflicts/dismiss', (req, res) => {
-  try {
-    const { proposalId } = req.body;
-    if (!proposalId) {
-      return res.status(400).json({ error: 'proposalId is required' });
+// Escalation changes for one game, oldest first
+app.get('/api/games/:id/escalation', (req, res) => {
+  const { id } = req.params;
+  const game = activeGames[id] || archivedGames[id];
+  const changes = escalationLog[id] || [];
+  
+  if (!game && changes.length === 0) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  res.json({
+    success: true,
+    gameId: id,
+    title: game?.title || null,
+    escalationLevel: game?.escalationLevel || null,
+    escalationSince: game?.escalationSince || null,
+    count: changes.length,
+    changes
+  });
+});
+
+// Scenario tree and how its odds moved. ?branch= (id or label text) adds a per-branch series
+app.get('/api/games/:id/scenarios', (req, res) => {
+  const { id } = req.params;
+  const game = activeGames[id] || archivedGames[id];
+  const history = scenarioHistory[id] || [];
+  
+  if (!game && history.length === 0) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  const entries = history.filter(e => {
+    const ts = new Date(e.timestamp).getTime();
+    return (from === undefined || ts >= from) && (to === undefined || ts <= to);
+  });
+  
+  let series = null;
+  if (req.query.branch) {
+    const needle = String(req.query.branch).toLowerCase();
+    const matches = (e) => Object.keys(e.labels).find(b => b === needle || e.labels[b].toLowerCase().includes(needle));
+    series = entries
+      .map(e => ({ e, branchId: matches(e) }))
+      .filter(({ branchId }) => branchId)
+      .map(({ e, branchId }) => ({ timestamp: e.timestamp, branchId, probability: e.probabilities[branchId], reason: e.reason }));
+  }
+  
+  res.json({
+    success: true,
+    gameId: id,
+    title: game?.title || null,
+    scenarios: game?.scenarios || null,
+    count: entries.length,
+    history: entries,
+    series
+  });
+});
+
+// Desk-wide escalation ladder: active games grouped by rung, longest-held first
+app.get('/api/games/ladder', (req, res) => {
+  const now = Date.now();
+  const rungs = Object.entries(ESCALATION_LABELS)
+    .map(([level, label]) => ({ level: Number(level), label, games: [] }))
+    .reverse();
+  
+  for (const game of Object.values(activeGames)) {
+    const rung = rungs.find(r => r.level === Number(game.escalationLevel));
+    if (!rung) continue;
+    
+    // Games that have not moved since tracking began fall back to when they were opened
+    const since = game.escalationSince || game.createdAt || null;
+    const lastChange = (escalationLog[game.id] || []).slice(-1)[0] || null;
+    rung.games.push({
+      id: game.id,
+      title: game.title,
+      emoji: game.emoji,
+      currentPhase: game.currentPhase,
+      since,
+      timeAtRungMs: since ? now - new Date(since).getTime() : null,
+      previousLevel: lastChange ? lastChange.from : null
+    });
+  }
+  
+  rungs.forEach(r => r.games.sort((a, b) => (b.timeAtRungMs || 0) - (a.timeAtRungMs || 0)));
+  res.json({
+    success: true,
+    alertLevel: CONFIG.ESCALATION_ALERT_LEVEL,
+    generatedAt: new Date(now).toISOString(),
+    rungs
+  });
+});
+
+// ============================================================================
+// GAME DESK API - Analyst CRUD for strategic games
+// ============================================================================
+// Static /api/games/<name> routes must be registered above this block or the
+// /:id routes below will swallow them.
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+const isStringList = (v, min, max) => Array.isArray(v) && v.length >= min && v.length <= max && v.every(isNonEmptyString);
+
+// Field rules for analyst-edited games: check() validates, clean() normalizes
+const GAME_FIELD_RULES = {
+  title: {
+    required: true,
+    check: v => isNonEmptyString(v) && v.length <= 60,
+    message: 'title must be a non-empty string (max 60 chars)',
+    clean: v => v.trim()
+  },
+  emoji: {
+    check: v => typeof v === 'string' && v.length <= 8,
+    message: 'emoji must be a short string'
+  },
+  players: {
+    required: true,
+    check: v => isStringList(v, 1, 6),
+    message: 'players must be 1-6 non-empty strings',
+    clean: v => v.map(p => p.trim())
+  },
+  keywords: {
+    required: true,
+    check: v => isStringList(v, 1, 50),
+    message: 'keywords must be 1-50 non-empty strings',
+    clean: v => [...new Set(v.map(k => k.trim().toLowerCase()))]
+  },
+  proxies: {
+    check: v => Array.isArray(v) && v.every(p => /^[A-Za-z0-9]{2,4}$/.test(p)),
+    message: 'proxies must be 2-4 letter sponsor codes (e.g. USA, CHN)',
+    clean: v => [...new Set(v.map(p => p.toUpperCase()))]
+  },
+  resource: {
+    check: v => typeof v === 'string' && GAME_RESOURCES.includes(v.toUpperCase()),
+    message: `resource must be one of: ${GAME_RESOURCES.join(', ')}`,
+    clean: v => v.toUpperCase()
+  },
+  escalationLevel: {
+    check: v => Number.isInteger(Number(v)) && Number(v) >= 1 && Number(v) <= 5,
+    message: 'escalationLevel must be an integer 1-5',
+    clean: v => Number(v)
+  },
+  currentPhase: {
+    check: v => typeof v === 'string' && GAME_PHASES.includes(v.toUpperCase()),
+    message: `currentPhase must be one of: ${GAME_PHASES.join(', ')}`,
+    clean: v => v.toUpperCase()
+  },
+  phaseColor: {
+    check: v => GAME_COLORS.includes(v),
+    message: `phaseColor must be one of: ${GAME_COLORS.join(', ')}`
+  },
+  statusColor: {
+    check: v => GAME_COLORS.includes(v),
+    message: `statusColor must be one of: ${GAME_COLORS.join(', ')}`
+  },
+  equilibriumStatus: {
+    check: v => isNonEmptyString(v) && v.length <= 60,
+    message: 'equilibriumStatus must be a non-empty string (max 60 chars)',
+    clean: v => v.trim()
+  },
+  nextLikelyMove: {
+    check: v => typeof v === 'string' && v.length <= 200,
+    message: 'nextLikelyMove must be a string (max 200 chars)'
+  },
+  lastMove: {
+    check: v => v && typeof v === 'object' && isNonEmptyString(v.player) && isNonEmptyString(v.action) &&
+      MOVE_TYPES.includes(String(v.type).toUpperCase()) && (v.date === undefined || /^\d{4}-\d{2}-\d{2}$/.test(v.date)),
+    message: `lastMove needs player, action, type (${MOVE_TYPES.join('/')}) and an optional YYYY-MM-DD date`,
+    clean: v => ({
+      player: v.player.trim(),
+      action: v.action.trim(),
+      type: v.type.toUpperCase(),
+      date: v.date || new Date().toISOString().split('T')[0]
+    })
+  },
+  supervised: {
+    check: v => typeof v === 'boolean',
+    message: 'supervised must be true or false'
+  },
+  // Matcher tuning (see HEADLINE MATCHER): aliases, exclusions, keyword weights, minScore
+  matching: {
+    check: v => isValidMatchingConfig(v),
+    message: 'matching takes aliases { keyword: [terms] }, exclusions [terms], weights { keyword: 0-5 } and minScore (0-10]',
+    clean: v => ({
+      aliases: Object.fromEntries(Object.entries(v.aliases || {}).map(([k, list]) => [k.toLowerCase(), list.map(t => t.trim().toLowerCase())])),
+      exclusions: (v.exclusions || []).map(t => t.trim().toLowerCase()),
+      weights: Object.fromEntries(Object.entries(v.weights || {}).map(([k, w]) => [k.toLowerCase(), w])),
+      minScore: v.minScore ?? DEFAULT_MATCH_MIN_SCORE
+    })
+  },
+  // Candidate next moves: { branches: [{ label, probability, support: [kw], against: [kw] }] }
+  scenarios: {
+    check: v => v === null || isValidScenarioTree(v),
+    message: 'scenarios needs 2-6 branches, each with a label, a probability >= 0 and optional support/against keyword lists',
+    clean: v => v && buildScenarioTree(v, 'ANALYST')
+  },
+  // null clears the matrix (and its solver output)
+  payoffMatrix: {
+    check: v => v === null || isValidPayoffMatrix(v),
+    message: `payoffMatrix needs 2 players, 2-${MAX_MATRIX_STRATEGIES} unique strategies each and an m×n grid of [row, column] numeric payoffs`,
+    clean: v => v && {
+      players: v.players.map(p => p.trim()),
+      strategies: v.strategies.map(list => list.map(st => st.trim())),
+      payoffs: v.payoffs,
+      source: v.source === 'AI' ? 'AI' : 'ANALYST',
+      updatedAt: new Date().toISOString()
+    }
+  },
+  location: {
+    check: v => v && typeof v === 'object' && typeof v.lat === 'number' && typeof v.lon === 'number' &&
+      Math.abs(v.lat) <= 90 && Math.abs(v.lon) <= 180,
+    message: 'location needs numeric lat (-90..90) and lon (-180..180)',
+    clean: v => ({ lat: v.lat, lon: v.lon, city: v.city || null })
+  }
+};
+
+// Validate analyst input. partial=true (PATCH) only checks the fields that are present;
+// allowUnknown=true accepts stored fields the analyst can't set (imports).
+function validateGameInput(input, { partial = false, allowUnknown = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Body must be a JSON object'], value: {} };
+  }
+  
+  const errors = [];
+  const value = {};
+  for (const [field, rule] of Object.entries(GAME_FIELD_RULES)) {
+    if (input[field] === undefined) {
+      if (rule.required && !partial) errors.push(`${field} is required`);
+      continue;
+    }
+    if (!rule.check(input[field])) {
+      errors.push(rule.message);
+      continue;
     }
+    value[field] = rule.clean ? rule.clean(input[field]) : input[field];
+  }
+  
+  const unknown = allowUnknown ? [] : Object.keys(input).filter(k => !GAME_FIELD_RULES[k] && k !== 'id');
+  if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  
+  return { errors, value };
+}
+
+// Commit an analyst edit: journal it, log a corrected move if lastMove changed, broadcast.
+// Returns the committed game (with solver output if the payoff matrix changed).
+function commitAnalystGameEdit(gameId, before, after) {
+  if (JSON.stringify(before?.payoffMatrix) !== JSON.stringify(after.payoffMatrix)) after = withEquilibrium(after);
+  activeGames[gameId] = after;
+  if (JSON.stringify(before?.scenarios) !== JSON.stringify(after.scenarios)) {
+    recordScenarioChange(gameId, after.scenarios, { reason: 'SET', source: 'ANALYST' });
+  }
+  recordEscalationChange(gameId, before?.escalationLevel, after, {
+    source: 'ANALYST',
+    evidence: { move: `${after.lastMove?.player}: ${after.lastMove?.action}`, phase: after.currentPhase }
+  });
+  recordEvent('game_commit', { gameId, game: after });
+  
+  const moveChanged = JSON.stringify(before?.lastMove) !== JSON.stringify(after.lastMove);
+  if (moveChanged) {
+    recordGameMove(gameId, {
+      ...after.lastMove,
+      source: 'ANALYST',
+      correction: !!before,
+      phaseBefore: before?.currentPhase || null,
+      phaseAfter: after.currentPhase,
+      escalationBefore: before?.escalationLevel || null,
+      escalationAfter: after.escalationLevel,
+      headlines: [],
+      blueVerdict: null,
+      redVerdict: null
+    });
+  }
+  
+  broadcastGameTheoryUpdate();
+  return after;
+}
+
+app.get('/api/games', (req, res) => {
+  res.json({ success: true, games: gamesWithGeo(activeGames), archived: gamesWithGeo(archivedGames) });
+});
+
+app.get('/api/games/:id', (req, res) => {
+  const { id } = req.params;
+  const game = activeGames[id] || archivedGames[id];
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+  res.json({ success: true, status: activeGames[id] ? 'ACTIVE' : 'ARCHIVED', game: withGeo(game) });
+});
+
+app.post('/api/games', (req, res) => {
+  try {
+    const { errors, value } = validateGameInput(req.body);
+    const gameId = req.body?.id || (value.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 30);
+    
+    if (!/^[a-z0-9_]{2,40}$/.test(gameId)) errors.push('id must be 2-40 chars of a-z, 0-9 or _');
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid game', details: errors });
+    if (activeGames[gameId] || archivedGames[gameId]) {
+      return res.status(409).json({ error: `Game ${gameId} already exists` });
+    }
+    
+    const game = {
+      id: gameId,
+      emoji: '♟️',
+      currentPhase: 'POSTURING',
+      phaseColor: 'yellow',
+      equilibriumStatus: 'EMERGING',
+      statusColor: 'yellow',
+      nextLikelyMove: '',
+      proxies: [],
+      resource: 'NONE',
+      escalationLevel: 1,
+      lastMove: {
+        player: 'Analyst',
+        action: 'Game opened by analyst',
+        type: 'SIGNAL',
+        date: new Date().toISOString().split('T')[0]
+      },
+      ...value,
+      isUserAdded: true,
+      createdAt: new Date().toISOString()
+    };
     
-    const success = dismissEmergingConflict(proposalId);
-    if (success) {
-      res.json({ success: true, message: 'Proposal dismissed' });
-    } else {
-      res.status(404).json({ error: 'Proposal not found' });
-    }
+    const created = commitAnalystGameEdit(gameId, null, game);
+    console.log(`♟️ Game created by analyst: ${created.title}`);
+    res.status(201).json({ success: true, game: created });
   } catch (error) {
-    console.error('Dismiss emerging conflict error:', error.message);
+    console.error('Create game error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
+// PUT replaces every editable field, PATCH only the fields sent
+function handleGameEdit(partial) {
+  return (req, res) => {
+    try {
+      const { id } = req.params;
+      const existing = activeGames[id];
+      if (!existing) {
+        return archivedGames[id]
+          ? res.status(409).json({ error: 'Game is archived - unarchive it before editing' })
+          : res.status(404).json({ error: 'Game not found' });
+      }
+      if (req.body?.id !== undefined && req.body.id !== id) {
+        return res.status(400).json({ error: 'Game id cannot be changed' });
+      }
+      
+      const { errors, value } = validateGameInput(req.body, { partial });
+      if (errors.length > 0) return res.status(400).json({ error: 'Invalid game', details: errors });
+      
+      const updated = {
+        ...existing,
+        ...value,
+        lastEditedAt: new Date().toISOString()
+      };
+      
+      const committed = commitAnalystGameEdit(id, existing, updated);
+      console.log(`✏️ Game edited by analyst: ${committed.title} (${Object.keys(value).join(', ')})`);
+      res.json({ success: true, game: committed });
+    } catch (error) {
+      console.error('Edit game error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+app.put('/api/games/:id', handleGameEdit(false));
+app.patch('/api/games/:id', handleGameEdit(true));
+
+// DELETE archives the game (it can be restored with /unarchive)
+app.delete('/api/games/:id', (req, res) => {
+  const { id } = req.params;
+  if (!activeGames[id]) return res.status(404).json({ error: 'Active game not found' });
+  
+  const reason = req.body?.reason || req.query.reason || 'Archived by analyst';
+  archiveConflict(id, reason);
+  broadcastGameTheoryUpdate();
+  res.json({ success: true, archived: archivedGames[id] });
+});
+
+app.post('/api/games/:id/unarchive', restoreArchivedGame);
+
 // Fetch and extract article content from URL
 // Security: Only fetch from known news domains to prevent SSRF
 async function fetchArticleContent(url) {
@@ -3678,31 +6512,15 @@ async function generateArticleSummary(articleContent, headline) {
   if (!articleContent || articleContent.length < 200) return null;
   
   try {
-    const summaryPrompt = `Read this article and provide a FACTUAL 150-word maximum summary. Focus ONLY on:
-- WHO: Key actors, institutions, countries involved
-- WHAT: The specific action, decision, or event
-- WHY: The stated rationale or underlying motivation
-- NUMBERS: Any specific figures, dates, thresholds mentioned
-
-HEADLINE: ${headline}
-
-ARTICLE:
-${articleContent}
-
-RULES:
-- Maximum 150 words
-- No opinions or analysis - just facts
-- No generic statements - be specific
-- Include direct quotes if significant
-- If article is about multiple topics, focus on the main one`;
-
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: summaryPrompt }] }],
+    const summaryPrompt = renderPrompt('article_summary', {
+      headline,
+      articleContent
     });
 
-    const summary = response.candidates?.[0]?.content?.parts?.[0]?.text;
-    return summary ? summary.trim() : null;
+    const response = await generateText(summaryPrompt);
+
+    const summary = response.text;
+    return summary ? { summary: summary.trim(), prompt: summaryPrompt.ref } : null;
   } catch (error) {
     console.log(`[SUMMARY] Failed to generate summary: ${error.message}`);
     return null;
@@ -3712,40 +6530,20 @@ RULES:
 // Generate a clever strategic headline for Catalyst Scanner
 async function generateCleverHeadline(articleContent, originalHeadline, summary, type) {
   try {
-    const headlinePrompt = `You write sharp, insightful one-line headlines for a geostrategic intelligence terminal used by macro traders.
-
-ORIGINAL HEADLINE: "${originalHeadline}"
-CATALYST TYPE: ${type || 'SYSTEMIC'}
-
-${summary ? `ARTICLE SUMMARY: ${summary}` : ''}
-${articleContent ? `ARTICLE EXCERPT: ${articleContent.substring(0, 1500)}...` : ''}
-
-YOUR TASK: Write a BETTER headline that:
-1. Captures the STRATEGIC ESSENCE - what's really at stake
-2. Uses geostrategic/macro vocabulary (e.g., "Silicon Shield", "Dollar Wrecking Ball", "Plumbing Stress")
-3. Implies the game theory dynamic if relevant (e.g., "Chicken Game", "Defection Risk", "Signaling Move")
-4. Is punchy and memorable (8-12 words ideal)
-5. Would make Michael Every proud
-
-EXAMPLES of good headlines:
-- "Silicon Shield Stress Test: TSMC Caught in Crossfire"
-- "BOJ Trapped: Yen at 160 Triggers Intervention Calculus"
-- "DragonBear Fracture: Yuan Decoupling Accelerates"
-- "Fed Prisoner's Dilemma: Cut Into Inflation or Hold Into Recession"
-- "Monroe Doctrine 2.0: Greenland Gambit Signals Hemisphere Reset"
-
-OUTPUT: Just the headline, nothing else. No quotes, no explanation.`;
-
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: headlinePrompt }] }],
+    const headlinePrompt = renderPrompt('clever_headline', {
+      headline: originalHeadline,
+      type: type || 'SYSTEMIC',
+      summaryLine: summary ? `ARTICLE SUMMARY: ${summary}` : '',
+      excerptLine: articleContent ? `ARTICLE EXCERPT: ${articleContent.substring(0, 1500)}...` : ''
     });
 
-    let cleverHeadline = response.candidates?.[0]?.content?.parts?.[0]?.text;
+    const response = await generateText(headlinePrompt);
+
+    let cleverHeadline = response.text;
     if (cleverHeadline) {
       // Clean up the headline
       cleverHeadline = cleverHeadline.trim().replace(/^["']|["']$/g, '').replace(/\n.*/g, '');
-      return cleverHeadline.length > 10 && cleverHeadline.length < 150 ? cleverHeadline : null;
+      return cleverHeadline.length > 10 && cleverHeadline.length < 150 ? { cleverHeadline, prompt: headlinePrompt.ref } : null;
     }
     return null;
   } catch (error) {
@@ -3773,16 +6571,19 @@ async function getArticleIntelligence(link, originalHeadline, type) {
   }
   
   // Generate summary first (needed for clever headline context)
-  const summary = await generateArticleSummary(articleContent, originalHeadline);
+  const summaryResult = await generateArticleSummary(articleContent, originalHeadline);
+  const summary = summaryResult?.summary || null;
   
   // Generate clever headline using the summary for better context
-  const cleverHeadline = await generateCleverHeadline(articleContent, originalHeadline, summary, type);
+  const headlineResult = await generateCleverHeadline(articleContent, originalHeadline, summary, type);
+  const cleverHeadline = headlineResult?.cleverHeadline || null;
   
   // Cache the results
   const intelligence = {
     summary,
     cleverHeadline,
     articleContent,
+    prompts: { summary: summaryResult?.prompt || null, headline: headlineResult?.prompt || null },
     timestamp: Date.now()
   };
   articleSummaryCache.set(cacheKey, intelligence);
@@ -3837,72 +6638,28 @@ ${articleContent}
     }
     
     // Michael Every-style prompt - deep geopolitical macro analysis
-    const prompt = `You are channeling Michael Every, Rabobank's Head of Asia-Pacific Research - known for connecting geopolitics, trade structures, and macro flows with wit and depth. Your analysis should feel like his "Daily" notes: sharp, contrarian when warranted, and always connecting dots others miss.
-
-HEADLINE: "${text}"
-${cleverHeadline ? `STRATEGIC HEADLINE: "${cleverHeadline}"` : ''}
-TYPE: ${type || 'SYSTEMIC'}
-SOURCE: ${source || 'News Feed'}
-${articleSection}
-${marketContext}
-${gameTheoryContext}
-
-=== YOUR ANALYTICAL FRAMEWORK ===
-
-You must analyze this through THREE LENSES:
-
-**1. GAME THEORY LENS**
-- Who are the PLAYERS? (Nations, central banks, corporations, blocs)
-- What GAME is being played? (Chicken, Prisoner's Dilemma, Coordination, Stag Hunt, Signaling, Reputation)
-- What are each player's PAYOFFS and CONSTRAINTS?
-- What is the likely EQUILIBRIUM or next move?
-- Is anyone BLUFFING? What would DEFECTION look like?
-
-**2. STRUCTURAL MACRO LENS**
-- How does this flow through the PLUMBING? (Dollar liquidity, collateral chains, FX reserves)
-- What are the TRANSMISSION CHANNELS to markets?
-- Does this REINFORCE or DISRUPT existing regimes (Dollar system, Petrodollar, Supply chains)?
-- What's the SECOND-ORDER effect most people will miss?
-
-**3. GEOPOLITICAL POWER LENS**
-- Which POWER BLOC does this benefit? (US hegemony, DragonBear axis, Middle powers)
-- What RESOURCES are at stake? (Energy, chips, shipping lanes, food)
-- Is this ESCALATION or DE-ESCALATION on the conflict ladder?
-- How does this connect to the broader GREAT POWER competition?
-
-=== OUTPUT FORMAT ===
-
-**UNDER THE HOOD**
-The real mechanics of this situation. What's actually happening beneath the headline? Name specific actors, their incentives, and the mechanisms at play. Reference the article's facts. Connect to structural trends. (4-5 sentences, Michael Every style - wry, insightful, occasionally sardonic)
-
-**WHY IT MOVES MARKETS**
-Specific assets and directions with reasoning. Use current market levels from the data above. Chain the logic: "This means X, which flows through Y, resulting in Z for [asset]." Be precise about transmission channels. (4-5 sentences)
-
-**HOW TO POSITION**
-Actionable guidance with game theory logic. What's the equilibrium play? What are the trigger levels? What's the risk if the game changes? What would a defection/surprise look like? Include timeframes. (4-5 sentences)
-
-RULES:
-- Sound like Michael Every, not a generic AI
-- NEVER give generic market commentary - this must be specific to THIS story
-- Reference ACTUAL FACTS from the article
-- Connect to broader geostrategic themes (deglobalization, friend-shoring, dollar system, DragonBear)
-- Name specific price levels when relevant
-- NO EMOJIS - professional language only
-- Use **bold** for asset names and key strategic terms`;
-
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+    const prompt = renderPrompt('catalyst_analysis', {
+      headline: text,
+      strategicHeadlineLine: cleverHeadline ? `STRATEGIC HEADLINE: "${cleverHeadline}"` : '',
+      type: type || 'SYSTEMIC',
+      source: source || 'News Feed',
+      articleSection,
+      marketContext,
+      gameTheoryContext
     });
 
-    const analysis = response.candidates?.[0]?.content?.parts?.[0]?.text;
+    const response = await generateText(prompt);
+
+    const analysis = response.text;
     
     if (analysis) {
       console.log(`[HORIZON] Michael Every-style analysis generated for: ${text.substring(0, 50)}... (article: ${!!articleContent}, summary: ${!!summary})`);
       res.json({ 
         analysis,
         cleverHeadline: cleverHeadline || null,
-        hasSummary: !!summary
+        hasSummary: !!summary,
+        prompt: prompt.ref,
+        intelPrompts: intel.prompts || null
       });
     } else {
       res.json({ error: 'Failed to generate analysis' });
@@ -3925,45 +6682,22 @@ app.post('/api/analyze-emerging', async (req, res) => {
     
     const marketContext = getMarketSnapshotForAI();
     
-    const prompt = `You are analyzing a POTENTIAL conflict that our AI detection system has flagged as "emerging" - meaning it's not yet a confirmed strategic situation but shows patterns suggesting one may be forming.
-
-EMERGING SIGNAL DETAILS:
-Title: ${title}
-Players: ${(players || []).join(' vs ')}
-Location: ${location || 'Unknown'}
-Detection Confidence: ${Math.round((confidence || 0) * 100)}%
-
-TRIGGERING HEADLINES:
-${(headlines || []).map(h => `- ${h}`).join('\n')}
-
-${marketContext}
-
-TASK: Provide a comprehensive analysis of this emerging signal:
-
-1. SIGNAL VALIDITY: How likely is this to become a genuine strategic conflict? Consider if the headlines represent real tension or just noise.
-
-2. ESCALATION PATHWAY: If this does become a conflict, what would the likely escalation path look like? What are the key trigger points?
-
-3. MARKET IMPLICATIONS: What assets, sectors, or currencies would be most affected if this situation escalates?
-
-4. KEY PLAYERS & MOTIVATIONS: Who are the actors and what are their likely objectives?
-
-5. WATCH SIGNALS: What specific events or indicators should we monitor to determine if this is escalating or de-escalating?
-
-6. HISTORICAL PARALLELS: Are there past situations that followed similar patterns?
-
-IMPORTANT: This is an UNCONFIRMED emerging signal. Be clear about the speculative nature while still providing useful analysis. Format your response in clear sections.`;
-
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+    const prompt = renderPrompt('emerging_analysis', {
+      title,
+      players: (players || []).join(' vs '),
+      location: location || 'Unknown',
+      confidence: Math.round((confidence || 0) * 100),
+      headlines: (headlines || []).map(h => `- ${h}`).join('\n'),
+      marketContext
     });
 
-    const analysis = response.candidates?.[0]?.content?.parts?.[0]?.text;
+    const response = await generateText(prompt);
+
+    const analysis = response.text;
     
     if (analysis) {
       console.log(`🔍 AI analysis generated for emerging signal: ${title}`);
-      res.json({ analysis });
+      res.json({ analysis, prompt: prompt.ref });
     } else {
       res.json({ error: 'Failed to generate analysis' });
     }
@@ -3999,7 +6733,8 @@ app.get('/api/beam/:beamId', async (req, res) => {
       id: beamId,
       metadata,
       current: currentTripwire,
-      aiAnalysis
+      aiAnalysis,
+      aiPrompt: beamAnalysisCache[beamId]?.prompt || null
     });
     
   } catch (error) {
@@ -4015,6 +6750,199 @@ app.get('/api/beams', (req, res) => {
   });
 });
 
+// Black Box journal - how state evolved (live segment only)
+app.get('/api/blackbox/journal', (req, res) => {
+  try {
+    const since = parseInt(req.query.since) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    const { type } = req.query;
+    
+    const events = readJournal()
+      .filter(e => e.seq > since && (!type || e.type === type))
+      .slice(-limit);
+    
+    res.json({ success: true, journalSeq, count: events.length, events });
+  } catch (error) {
+    console.error('Journal read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse a from/to query param: epoch milliseconds or anything Date.parse understands
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return isNaN(value) ? Date.parse(value) : Number(value);
+}
+
+// Desk export - versioned bundle of games, archive and proposals
+app.get('/api/admin/export', requireAdmin, (req, res) => {
+  try {
+    const bundle = buildStateBundle();
+    res.set('Content-Disposition', `attachment; filename="nuthatch-desk-${bundle.exportedAt.slice(0, 10)}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Export error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Desk import - accepts any bundle version (older ones are migrated); ?mode=merge keeps existing games
+app.post('/api/admin/import', requireAdmin, (req, res) => {
+  try {
+    const mode = req.query.mode || 'replace';
+    if (!['replace', 'merge'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be replace or merge' });
+    }
+    
+    let summary;
+    try {
+      summary = importStateBundle(req.body, mode);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, invalid: e.invalid, details: e.details });
+    }
+    
+    console.log(`📥 Desk bundle imported (${mode}): ${summary.activeGames} active, ${summary.archivedGames} archived, ${summary.proposals} proposals`);
+    broadcastGameTheoryUpdate();
+    broadcast({
+      type: 'emerging_conflict_update',
+      data: { queue: emergingConflictQueue }
+    });
+    res.json({ success: true, mode, ...summary });
+  } catch (error) {
+    console.error('Import error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prompt registry - ids, versions, active version and declared variables
+app.get('/api/admin/prompts', requireAdmin, (req, res) => {
+  const prompts = Object.values(promptRegistry).map(p => ({
+    id: p.id,
+    description: p.description,
+    active: p.active,
+    versions: Object.keys(p.versions).map(Number).sort((a, b) => a - b),
+    variables: p.variables
+  }));
+  res.json({ success: true, count: prompts.length, prompts });
+});
+
+// One prompt with its template text (all versions unless ?version=N)
+app.get('/api/admin/prompts/:id', requireAdmin, (req, res) => {
+  const spec = promptRegistry[req.params.id];
+  if (!spec) return res.status(404).json({ error: 'Prompt not found' });
+  
+  const versions = req.query.version ? { [req.query.version]: spec.versions[req.query.version] } : spec.versions;
+  if (Object.values(versions).some(t => t === undefined)) return res.status(404).json({ error: 'Prompt version not found' });
+  res.json({ success: true, id: spec.id, description: spec.description, active: spec.active, variables: spec.variables, versions });
+});
+
+// A/B two versions of a prompt on the same input. Body: { versions: [1, 2], variables: {...} }
+app.post('/api/admin/prompts/:id/ab', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const spec = promptRegistry[id];
+    if (!spec) return res.status(404).json({ error: 'Prompt not found' });
+    
+    const versions = req.body?.versions || [];
+    const variables = req.body?.variables || {};
+    if (!Array.isArray(versions) || versions.length !== 2 || !versions.every(v => spec.versions[v] !== undefined)) {
+      return res.status(400).json({ error: `versions must name two of: ${Object.keys(spec.versions).join(', ')}` });
+    }
+    
+    let rendered;
+    try {
+      rendered = versions.map(version => renderPrompt(id, variables, { version }));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    
+    // One after the other - same input, no rate-limit race between arms
+    const results = [];
+    for (const prompt of rendered) {
+      const startedAt = Date.now();
+      try {
+        const response = await generateText(prompt);
+        const output = response.text || '';
+        results.push({ prompt: prompt.ref, model: `${response.provider}:${response.model}`, output, ms: Date.now() - startedAt, error: null });
+      } catch (e) {
+        results.push({ prompt: prompt.ref, model: null, output: null, ms: Date.now() - startedAt, error: e.message });
+      }
+    }
+    
+    console.log(`🧾 Prompt A/B: ${id} v${versions[0]} vs v${versions[1]}`);
+    res.json({ success: true, id, variables, results });
+  } catch (error) {
+    console.error('Prompt A/B error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// LLM provider health and the resolved model chain for every feature
+app.get('/api/admin/llm', requireAdmin, (req, res) => {
+  const providers = Object.keys(llmConfig.providers).map(name => {
+    const { type, baseUrl, ready, timeoutMs } = resolveLlmProvider(name);
+    return { name, type, baseUrl: type === 'gemini' ? null : baseUrl, ready, timeoutMs, stats: llmStats[name] || null };
+  });
+  const features = Object.fromEntries(Object.keys(promptRegistry).map(id => [id, {
+    chain: llmChainFor(id).map(({ provider, model }) => `${provider}:${model}`),
+    overridden: !!llmConfig.features[id]
+  }]));
+  res.json({ success: true, timeoutMs: llmConfig.timeoutMs, fallbacks: llmFallbackCount, providers, features });
+});
+
+// Structured AI replies that failed schema validation, newest first. ?prompt=<id>&limit=N
+app.get('/api/admin/ai-rejections', requireAdmin, (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= 500)) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+    
+    const rejections = readJournal(AI_REJECTIONS_FILE)
+      .filter(r => !req.query.prompt || r.prompt?.id === req.query.prompt)
+      .reverse();
+    const byPrompt = {};
+    rejections.forEach(r => { byPrompt[r.prompt?.id] = (byPrompt[r.prompt?.id] || 0) + 1; });
+    res.json({
+      success: true,
+      total: rejections.length,
+      byPrompt,
+      schemas: Object.keys(AI_OUTPUT_SCHEMAS),
+      rejections: rejections.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('AI rejections read error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Market history - OHLC bars (or raw ticks) for any snapshot key
+app.get('/api/history/:key', (req, res) => {
+  try {
+    const { key } = req.params;
+    const interval = req.query.interval || '5m';
+    
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      return res.status(400).json({ error: 'Invalid history key' });
+    }
+    if (interval !== 'raw' && !HISTORY_INTERVALS[interval]) {
+      return res.status(400).json({ error: `interval must be one of raw, ${Object.keys(HISTORY_INTERVALS).join(', ')}` });
+    }
+    
+    const to = parseTimeParam(req.query.to) ?? Date.now();
+    const from = parseTimeParam(req.query.from) ?? to - HISTORY_INTERVALS['1d'];
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from/to must be valid times with from <= to' });
+    }
+    
+    const points = getMarketHistory(key, { from, to, interval });
+    res.json({ success: true, key, interval, from, to, count: points.length, points });
+  } catch (error) {
+    console.error('History query error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Debug endpoint to check actual market values
 app.get('/api/debug/market', (req, res) => {
   const snapshot = cachedMarketSnapshot;
@@ -4036,6 +6964,190 @@ app.get('/api/debug/market', (req, res) => {
   });
 });
 
+// ============================================================================
+// CARD ARCHIVE - Every new_card broadcast, searchable
+// ============================================================================
+// Append-only day files under card_archive/ (a card is re-written when it lands
+// in another column; the last line for an id wins). The most recent
+// CARD_ARCHIVE_WINDOW_DAYS are held in memory with an inverted token index.
+
+const CARD_ARCHIVE_DIR = path.join(__dirname, 'card_archive');
+const CARD_ARCHIVE_WINDOW_DAYS = 30;
+
+const cardArchive = new Map();      // cardId -> record
+const cardArchiveIndex = new Map(); // token -> Set of cardIds
+
+function tokenizeCardText(text) {
+  return ((text || '').toLowerCase().match(/[a-z0-9]+/g) || []).filter(t => t.length > 1);
+}
+
+function cardRecordTokens(record) {
+  return new Set(tokenizeCardText([
+    record.headline,
+    record.source,
+    record.regime,
+    ...(record.tags || []),
+    ...(record.implications || [])
+  ].join(' ')));
+}
+
+function indexCardRecord(record) {
+  const previous = cardArchive.get(record.id);
+  if (previous) unindexCardRecord(previous);
+  
+  cardArchive.set(record.id, record);
+  for (const token of cardRecordTokens(record)) {
+    if (!cardArchiveIndex.has(token)) cardArchiveIndex.set(token, new Set());
+    cardArchiveIndex.get(token).add(record.id);
+  }
+}
+
+function unindexCardRecord(record) {
+  for (const token of cardRecordTokens(record)) {
+    const ids = cardArchiveIndex.get(token);
+    if (!ids) continue;
+    ids.delete(record.id);
+    if (ids.size === 0) cardArchiveIndex.delete(token);
+  }
+  cardArchive.delete(record.id);
+}
+
+// Store a new_card broadcast (called from broadcast())
+function archiveCard(message) {
+  const card = message.data || {};
+  if (!card.headline) return;
+  
+  const id = card.link || `${card.source}|${card.headline}`;
+  const now = Date.now();
+  const existing = cardArchive.get(id);
+  
+  let record;
+  if (existing) {
+    if (existing.columns.includes(message.column)) return;
+    record = { ...existing, columns: [...existing.columns, message.column], lastSeenAt: now };
+  } else {
+    record = {
+      id,
+      headline: card.headline,
+      source: card.source || null,
+      link: card.link || null,
+      columns: [message.column],
+      tags: card.tags || [],
+      regime: card.regime || null,
+      implications: card.implications || [],
+      impact: card.impact ?? null,
+      geo: card.geo || cardGeo(card.headline),
+      publishedAt: card.publishedAt || null,
+      firstSeenAt: now,
+      lastSeenAt: now
+    };
+  }
+  
+  indexCardRecord(record);
+  
+  try {
+    if (!fs.existsSync(CARD_ARCHIVE_DIR)) fs.mkdirSync(CARD_ARCHIVE_DIR, { recursive: true });
+    const file = path.join(CARD_ARCHIVE_DIR, `cards-${new Date(now).toISOString().slice(0, 10)}.jsonl`);
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  } catch (e) {
+    console.error('[ARCHIVE] Card write failed:', e.message);
+  }
+}
+
+// Load the in-memory search window from disk (on boot)
+function loadCardArchive() {
+  if (!fs.existsSync(CARD_ARCHIVE_DIR)) return;
+  
+  const cutoff = Date.now() - CARD_ARCHIVE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const cutoffDay = new Date(cutoff).toISOString().slice(0, 10);
+  const files = fs.readdirSync(CARD_ARCHIVE_DIR)
+    .filter(f => /^cards-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f) && f.slice(6, 16) >= cutoffDay)
+    .sort();
+  
+  for (const file of files) {
+    for (const line of fs.readFileSync(path.join(CARD_ARCHIVE_DIR, file), 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record.firstSeenAt < cutoff) continue;
+        // Records written before geocoding carry no geo - broadcast() never sees them again
+        if (!record.geo) record.geo = cardGeo(record.headline);
+        indexCardRecord(record);
+      } catch (e) {
+        // Torn line from a crash - skip
+      }
+    }
+  }
+  
+  console.log(`[ARCHIVE] Loaded ${cardArchive.size} cards (${cardArchiveIndex.size} terms) from ${files.length} day files`);
+}
+
+// Drop cards that fell out of the search window (files stay on disk)
+function evictCardArchive() {
+  const cutoff = Date.now() - CARD_ARCHIVE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  for (const record of [...cardArchive.values()]) {
+    if (record.firstSeenAt < cutoff) unindexCardRecord(record);
+  }
+}
+
+cron.schedule('15 2 * * *', evictCardArchive);
+
+// Full-text search: every query term must match; "quoted phrases" must appear verbatim
+function searchCardArchive({ q, column, source, tag, from, to, page = 1, limit = 25 }) {
+  const phrases = [...(q || '').matchAll(/"([^"]+)"/g)].map(m => m[1].toLowerCase());
+  const terms = [...new Set(tokenizeCardText(q))];
+  
+  let results;
+  if (terms.length > 0) {
+    const sets = terms.map(t => cardArchiveIndex.get(t) || new Set()).sort((a, b) => a.size - b.size);
+    results = [...sets[0]].filter(id => sets.every(s => s.has(id))).map(id => cardArchive.get(id));
+  } else {
+    results = [...cardArchive.values()];
+  }
+  
+  results = results.filter(r => {
+    if (phrases.length && !phrases.every(p => [r.headline, ...r.implications].join(' ').toLowerCase().includes(p))) return false;
+    if (column && !r.columns.includes(column)) return false;
+    if (source && !(r.source || '').toLowerCase().includes(source.toLowerCase())) return false;
+    if (tag && !r.tags.some(t => String(t).toLowerCase() === tag.toLowerCase())) return false;
+    if (from && r.firstSeenAt < from) return false;
+    if (to && r.firstSeenAt > to) return false;
+    return true;
+  });
+  
+  results.sort((a, b) => b.firstSeenAt - a.firstSeenAt);
+  
+  const total = results.length;
+  const start = (page - 1) * limit;
+  return {
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    results: results.slice(start, start + limit)
+  };
+}
+
+app.get('/api/cards/search', (req, res) => {
+  try {
+    const { q, column, source, tag } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from/to must be valid times' });
+    }
+    
+    const result = searchCardArchive({ q, column, source, tag, from, to, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Card search error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // WebSocket handlers
 wss.on('connection', (ws) => {
   console.log('✅ Client connected');
@@ -4070,10 +7182,13 @@ function broadcast(data) {
   
   // Store new_card messages for late-joining clients
   if (data.type === 'new_card') {
+    if (data.data && !data.data.geo) data.data.geo = cardGeo(data.data.headline);
     recentCards.unshift(data);
     if (recentCards.length > MAX_RECENT_CARDS) {
       recentCards.pop();
     }
+    recordEvent('card_broadcast', { card: data });
+    archiveCard(data);
   }
   
   clients.forEach(client => {
@@ -4115,6 +7230,13 @@ async function sendInitialData(ws) {
         console.log('🔔 Sent emerging conflict queue');
       }
       
+      if (pendingGameUpdates.length > 0) {
+        ws.send(JSON.stringify({
+          type: 'pending_game_update',
+          data: { action: 'snapshot', update: null, queue: pendingGameUpdates }
+        }));
+      }
+      
       // Send cached Quant Levels IMMEDIATELY (don't wait for async)
       if (cachedQuantLevels.length > 0) {
         ws.send(JSON.stringify({
@@ -4503,6 +7625,7 @@ async function processRSSItem(item, defaultCategory, sourceName, pubDateStr = nu
         link: item.link || '',
         source: sourceName,
         pubDate: pubDateDisplay,
+        publishedAt: pubDateStr && !isNaN(Date.parse(pubDateStr)) ? new Date(pubDateStr).toISOString() : null,
         verified: true,
         implications: isHeadlineOnly ? [] : smartData.implications,
         impact: isHeadlineOnly ? 0 : (smartData.impact || 2),
@@ -4526,7 +7649,7 @@ async function processRSSItem(item, defaultCategory, sourceName, pubDateStr = nu
     }
     
     // Check for orphan headlines (potential emerging conflicts)
-    checkOrphanHeadline(headline, sourceName, pubDateStr ? new Date(pubDateStr).getTime() : Date.now());
+    checkOrphanHeadline(headline, sourceName, pubDateStr ? new Date(pubDateStr).getTime() : Date.now(), item.contentSnippet);
     
     // Also broadcast to NEWS column for all feeds (except excluded sources and opinion pieces)
     if (category !== 'breaking' && category !== 'market' && !excludeFromNews && !isOpinionOrAnalysis) {
@@ -4676,6 +7799,7 @@ async function processNewsArticle(article, forceCategory = null, publishedAt = n
         link: article.url || '',
         source: article.source.name,
         pubDate: pubDateDisplay,
+        publishedAt: publishedAt && !isNaN(Date.parse(publishedAt)) ? new Date(publishedAt).toISOString() : null,
         verified: true,
         implications: isHeadlineOnly ? [] : smartData.implications,
         impact: isHeadlineOnly ? 0 : (smartData.impact || 2),
@@ -4763,22 +7887,6 @@ function classifyNews(text) {
 // SMART IMPLICATIONS ENGINE
 // ============================================================================
 
-// ============================================================================
-// NEGATION DETECTION HELPER
-// ============================================================================
-// Detects when a headline explicitly negates a topic (e.g., "isn't Russia", "not Iran")
-// Returns true if the keyword is negated in the text
-function isNegated(text, keyword) {
-  const negationPatterns = [
-    new RegExp(`\\b(isn't|isnt|is not|aren't|arent|are not|wasn't|wasnt|was not|weren't|werent|were not|not about|not due to|not from|not because of|nothing to do with|has nothing to do with|have nothing to do with|problem isn't|problem isnt|problem is not|despite|regardless of|unrelated to|irrespective of)\\s+[^.]*\\b${keyword}\\b`, 'i'),
-    new RegExp(`\\b${keyword}\\b[^.]*\\b(isn't|isnt|is not|aren't|arent|are not|wasn't|wasnt|was not|weren't|werent|were not)\\b`, 'i'),
-    new RegExp(`\\b(not|no)\\s+${keyword}\\b`, 'i'),
-    new RegExp(`\\bproblem\\s+(isn't|isnt|is not)\\s+[^—-]*\\b${keyword}\\b`, 'i')
-  ];
-  
-  return negationPatterns.some(pattern => pattern.test(text));
-}
-
 // ============================================================================
 // ULTIMATE IMPLICATIONS ENGINE - 500+ Patterns
 // ============================================================================
@@ -6808,6 +9916,7 @@ function processAlpacaNews(article) {
       link: article.url || '',
       source: `${article.source || 'Alpaca'} ⚡`,
       pubDate: pubDateDisplay,
+      publishedAt: isNaN(pubDate) ? null : pubDate.toISOString(),
       verified: true,
       implications: isHeadlineOnly ? [] : smartData.implications,
       impact: isHeadlineOnly ? 0 : (smartData.impact || 2),
@@ -7334,6 +10443,9 @@ const BEAM_METADATA = {
 const beamAnalysisCache = {};
 const BEAM_ANALYSIS_TTL = 15 * 60 * 1000; // 15 minutes
 
+// Last known status per beam - transitions are journaled by the Black Box
+const beamStatuses = {};
+
 // Get AI analysis for a specific beam
 async function getBeamAIAnalysis(beamId, currentTripwire) {
   const metadata = BEAM_METADATA[beamId];
@@ -7359,64 +10471,33 @@ async function getBeamAIAnalysis(beamId, currentTripwire) {
       ?.map(f => `• ${f.label}: ${f.value}`)
       ?.join('\n') || 'All factors active';
     
-    const prompt = `You are a macro strategist analyzing a structural early warning indicator. You specialize in PATTERN RECOGNITION across historical crises.
-
-BEAM: ${metadata.name}
-ARCHETYPE: ${metadata.archetype || 'Structural Stress'}
-
-CURRENT STATUS: ${currentTripwire.status}
-CURRENT VALUE: ${currentTripwire.value} ${currentTripwire.unit}
-THRESHOLD: ${currentTripwire.threshold} ${currentTripwire.unit}
-DISTANCE FROM THRESHOLD: ${currentTripwire.distance}%
-
-ACTIVE FACTORS (triggered):
-${activeFactorsList}
-
-INACTIVE FACTORS (not yet triggered):
-${inactiveFactorsList}
-
-WHAT THIS BEAM MEASURES:
-${metadata.fullExplanation}
-
-HISTORICAL PRECEDENT:
-${metadata.historicalContext}
-
-CALCULATION METHOD:
-${metadata.calculation}
-
-DATA SOURCES: ${metadata.dataSources.join(', ')}
-
-${marketContext}
-
-=== PATTERN RECOGNITION TASK ===
-
-Analyze this beam with deep historical pattern matching. Provide:
-
-1. **CURRENT READ** (1-2 sentences): What exactly is happening right now based on the active/inactive factors?
-
-2. **HISTORICAL PATTERN MATCH** (2-3 sentences): Compare current conditions to the most relevant historical crisis. Be specific:
-   - What past event does this MOST resemble? (e.g., "2022 BOJ intervention at 150¥", "2015 China deval", "1973 oil shock")
-   - How similar is the current setup (0-100% pattern match)?
-   - What was the outcome last time?
-
-3. **ESCALATION SEQUENCE** (2 sentences): Based on past patterns, what is the TYPICAL sequence of events if this beam escalates? What happens FIRST, SECOND, THIRD?
-
-4. **ACTIONABLE LEVELS** (1-2 sentences): What specific price levels or news triggers would push this to the next status (ARMING → BREACHED, or SAFE → ARMING)?
-
-Be direct, use specific numbers. This is for a professional trading desk.`;
-
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+    const prompt = renderPrompt('beam_analysis', {
+      name: metadata.name,
+      archetype: metadata.archetype || 'Structural Stress',
+      status: currentTripwire.status,
+      value: currentTripwire.value,
+      unit: currentTripwire.unit,
+      threshold: currentTripwire.threshold,
+      distance: currentTripwire.distance,
+      activeFactors: activeFactorsList,
+      inactiveFactors: inactiveFactorsList,
+      explanation: metadata.fullExplanation,
+      historicalContext: metadata.historicalContext,
+      calculation: metadata.calculation,
+      dataSources: metadata.dataSources.join(', '),
+      marketContext
     });
 
-    const analysis = response.candidates?.[0]?.content?.parts?.[0]?.text || 'Analysis unavailable';
+    const response = await generateText(prompt);
+
+    const analysis = response.text || 'Analysis unavailable';
     
     // Cache the result
     beamAnalysisCache[beamId] = {
       analysis,
       timestamp: Date.now(),
-      status: currentTripwire.status
+      status: currentTripwire.status,
+      prompt: prompt.ref
     };
     
     console.log(`🔍 AI analysis generated for beam: ${beamId}`);
@@ -7695,6 +10776,15 @@ function calculateDEFCONTripwires() {
     { id: 'eem_stress', label: 'EM stress', active: pct.eem < -1, value: `${(pct.eem || 0).toFixed(1)}%` }
   ]);
   
+  // Journal beam status transitions (Black Box)
+  tripwires.forEach(t => {
+    const previous = beamStatuses[t.id];
+    if (previous !== t.status) {
+      beamStatuses[t.id] = t.status;
+      recordEvent('beam_status', { beamId: t.id, from: previous || null, to: t.status });
+    }
+  });
+  
   // Summary counts
   const breached = tripwires.filter(t => t.status === 'BREACHED').length;
   const arming = tripwires.filter(t => t.status === 'ARMING').length;
@@ -7760,8 +10850,8 @@ const COMPOUND_ANALYSIS_INTERVAL = 5 * 60 * 1000; // 5 minutes between checks
 
 async function analyzeCompoundStressSignal(compound, tripwires) {
   if (compound.status !== 'SYSTEMIC' && compound.status !== 'CLUSTERING') return null;
-  if (emergingConflictQueue.length >= MAX_EMERGING_QUEUE) return null;
-  if (dailyProposalCount >= MAX_DAILY_PROPOSALS) return null;
+  if (emergingConflictQueue.length >= EMERGING_LIMITS.maxQueue) return null;
+  if (dailyProposalCount >= EMERGING_LIMITS.maxDailyProposals) return null;
   if (Date.now() - lastCompoundAnalysis < COMPOUND_ANALYSIS_INTERVAL) return null;
   
   lastCompoundAnalysis = Date.now();
@@ -7775,58 +10865,31 @@ async function analyzeCompoundStressSignal(compound, tripwires) {
     .map(c => `- ${c.name} cluster: ${c.tripwires.join(', ')}`)
     .join('\n');
   
-  const prompt = `Multiple tripwires in our early warning system are correlating, suggesting a NEW conflict may be forming.
-
-STRESSED TRIPWIRES:
-${stressedList}
-
-ACTIVE CLUSTERS:
-${clusterList}
-
-COMPOUND STATUS: ${compound.status}
-
-Based on this pattern of correlated stress signals, determine if this represents an emerging strategic situation that isn't already being tracked:
-
-If this represents a NEW emerging conflict formation, respond in JSON:
-{
-  "isConflict": true,
-  "confidence": 0.0-1.0,
-  "title": "Short title describing the forming situation (max 25 chars)",
-  "emoji": "Single emoji",
-  "players": ["Actor 1", "Actor 2"],
-  "currentPhase": "FORMATION",
-  "keywords": ["keyword1", "keyword2"],
-  "summary": "One sentence describing what's forming",
-  "signalType": "COMPOUND_STRESS",
-  "location": {"lat": 0.0, "lon": 0.0, "city": "Key location"}
-}
-
-If this is NOT a new conflict (existing situation, routine stress, or unclear), respond:
-{"isConflict": false, "reason": "explanation"}
-
-Respond ONLY with valid JSON.`;
+  const prompt = renderPrompt('compound_stress', {
+    stressedTripwires: stressedList,
+    clusters: clusterList,
+    status: compound.status
+  });
 
   try {
-    const response = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
+    const response = await generateStructured(prompt);
+    const result = response.data;
     
-    const rawText = response.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const text = rawText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const result = JSON.parse(text);
-    
-    if (result.isConflict && result.confidence > 0.6) {
+    if (result.isConflict && result.confidence > EMERGING_LIMITS.confidenceCutoff) {
       dailyProposalCount++;
       const proposal = {
         id: `compound_${Date.now()}`,
         ...result,
         headlines: compound.clusters.flatMap(c => c.tripwires.map(t => `Tripwire: ${t}`)),
         sources: ['COMPOUND STRESS DETECTOR'],
-        proposedAt: Date.now()
+        proposedAt: Date.now(),
+        prompt: prompt.ref,
+        model: `${response.provider}:${response.model}`
       };
       
       emergingConflictQueue.push(proposal);
+      recordEvent('proposal_added', { proposal });
+      countEmergingUsage('generated');
       console.log(`🔥 Compound stress signal detected: ${proposal.title}`);
       
       broadcast({
@@ -8352,8 +11415,46 @@ server.listen(CONFIG.PORT, '0.0.0.0', () => {
   // Load Black Box Memory on Boot
   loadSystemState();
   
-  // Seed initial catalysts for Horizon Scanner
-  seedInitialCatalysts();
+  // Prompt templates - every AI feature renders from the registry
+  try {
+    loadPromptRegistry();
+  } catch (e) {
+    console.error(`🧾 Cannot start without a valid prompt registry in ${PROMPTS_DIR}:`, e.message);
+    process.exit(1);
+  }
+  watchPromptRegistry();
+  
+  // Feature chains are checked against the prompt ids, so this loads after the registry
+  try {
+    loadLlmProviders();
+  } catch (e) {
+    console.error(`🤖 Cannot start without a valid ${path.basename(LLM_PROVIDERS_FILE)}:`, e.message);
+    process.exit(1);
+  }
+  watchLlmProviders();
+  
+  try {
+    loadGazetteer();
+  } catch (e) {
+    console.error(`🌍 Cannot start without a valid ${path.basename(GAZETTEER_FILE)}:`, e.message);
+    process.exit(1);
+  }
+  
+  // Merge the seed catalogue over whatever the Black Box restored
+  try {
+    loadGameCatalogue();
+  } catch (e) {
+    console.error(`📚 Cannot start without a valid ${path.basename(GAME_CATALOGUE_FILE)}:`, e.message);
+    process.exit(1);
+  }
+  watchGameCatalogue();
+  broadcastGameTheoryUpdate(); // primes the board cache (with geo) for the first clients
+  loadCardArchive();
+  
+  // Seed initial catalysts for Horizon Scanner (unless the Black Box restored real ones)
+  if (globalCatalystQueue.length === 0) {
+    seedInitialCatalysts();
+  }
   
   // Schedule Auto-Save (Every 60s)
   setInterval(saveSystemState, 60000);
@@ -8482,12 +11583,14 @@ server.listen(CONFIG.PORT, '0.0.0.0', () => {
 process.on('SIGTERM', () => {
   console.log('Shutting down gracefully...');
   saveSystemState();
+  flushMarketHistory();
   server.close(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received - saving state...');
   saveSystemState();
+  flushMarketHistory();
   process.exit(0);
 });
 